@@ -1,7 +1,6 @@
 const path = require('path');
-require('dotenv').config({ path: path.resolve(__dirname, '../.env'), debug: true });
-console.log('[Config] Loading config. Gemini Key present:', !!process.env.GEMINI_API_KEY, 'Length:', process.env.GEMINI_API_KEY ? process.env.GEMINI_API_KEY.length : 0);
 
+require('dotenv').config({ path: path.resolve(__dirname, '../.env'), quiet: true });
 
 const config = {
   gemini: {
@@ -14,32 +13,99 @@ const config = {
     apiKey: process.env.OPENAI_API_KEY,
     timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS) || 60000
   },
+  local: {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local', // Most local servers ignore the key
+    temperature: parseFloat(process.env.LOCAL_LLM_TEMPERATURE) || 0.7,
+    timeoutMs: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 120000
+  },
   ai: {
-    provider: process.env.AI_PROVIDER || 'gemini' // 'gemini' or 'openai'
+    provider: process.env.AI_PROVIDER || 'gemini', // 'gemini', 'openai', 'local' or 'mock'
+    // Ordered failover chain, e.g. "openai,gemini,mock". Overrides AI_PROVIDER when set.
+    fallbackChain: (process.env.AI_PROVIDER_CHAIN || '').split(',').map(p => p.trim()).filter(Boolean)
+  },
+  mock: {
+    seed: parseInt(process.env.MOCK_SEED) || 42
+  },
+  scheduler: {
+    maxBatchSize: parseInt(process.env.SCHEDULER_MAX_BATCH_SIZE) || 5,
+    defaultPersonaTokens: parseInt(process.env.SCHEDULER_DEFAULT_PERSONA_TOKENS) || 1500,
+    maxRetries: parseInt(process.env.SCHEDULER_MAX_RETRIES) || 4,
+    baseBackoffMs: parseInt(process.env.SCHEDULER_BASE_BACKOFF_MS) || 1000,
+    maxBackoffMs: parseInt(process.env.SCHEDULER_MAX_BACKOFF_MS) || 30000,
+    // Per-provider limits; unset means unlimited. historyTurns = past turns resent per call
+    limits: {
+      openai: {
+        rpm: parseInt(process.env.OPENAI_RPM) || 500,
+        tpm: parseInt(process.env.OPENAI_TPM) || 30000,
+        historyTurns: 10
+      },
+      gemini: {
+        rpm: parseInt(process.env.GEMINI_RPM) || 360,
+        tpm: parseInt(process.env.GEMINI_TPM) || 120000,
+        historyTurns: 10
+      },
+      local: {
+        rpm: parseInt(process.env.LOCAL_LLM_RPM) || Infinity,
+        tpm: parseInt(process.env.LOCAL_LLM_TPM) || Infinity,
+        historyTurns: 3
+      },
+      mock: { rpm: Infinity, tpm: Infinity, historyTurns: 0 }
+    }
+  },
+  jobs: {
+    ttlMs: parseInt(process.env.JOB_TTL_MS) || 3600000 // Keep finished jobs for 1 hour
+  },
+  history: {
+    maxRuns: parseInt(process.env.RUN_HISTORY_MAX_RUNS) || 1000 // Oldest runs are pruned past this
+  },
+  finance: {
+    customersPerPersona: parseInt(process.env.FINANCE_CUSTOMERS_PER_PERSONA) || 25, // Real visits each persona stands for per turn
+    cogsRatio: parseFloat(process.env.FINANCE_COGS_RATIO) || 0.3, // Cost of goods as a share of price for items without a configured cost
+    tacticCost: parseFloat(process.env.FINANCE_TACTIC_COST) || 100 // Cost of a marketing tactic without a configured cost
+  },
+  queue: {
+    serviceRate: parseFloat(process.env.QUEUE_SERVICE_RATE) || 30, // Customers served per hour by one employee
+    peakFactor: parseFloat(process.env.QUEUE_PEAK_FACTOR) || 2, // Rush-hour arrival rate relative to the daypart average
+    daysOpen: parseInt(process.env.QUEUE_DAYS_OPEN) || 7, // Days per turn that staff hours are spread over
+    waitTolerance: parseFloat(process.env.QUEUE_WAIT_TOLERANCE) || 15, // Minutes most personas will wait in line
+    speedWaitTolerance: parseFloat(process.env.QUEUE_SPEED_WAIT_TOLERANCE) || 5, // Minutes for personas that value speed
+    maxWaitMinutes: 60 // Reported wait when the line grows without bound
+  },
+  geography: {
+    kmPerUnit: parseFloat(process.env.GEO_KM_PER_UNIT) || 0.05, // Map canvas units to kilometres (100 units = 5 km)
+    travelCostPerKm: parseFloat(process.env.GEO_TRAVEL_COST_PER_KM) || 0.5, // Dollars a persona counts per km travelled
+    distanceDecay: parseFloat(process.env.GEO_DISTANCE_DECAY) || 2 // Gravity model exponent on distance
+  },
+  social: {
+    influenceStrength: parseFloat(process.env.SOCIAL_INFLUENCE_STRENGTH) || 0.2 // Largest sensitivity shift word of mouth can cause
+  },
+  storage: {
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '../data') // Persisted simulation state
   },
   server: {
     port: parseInt(process.env.PORT) || 3000,
     nodeEnv: process.env.NODE_ENV || 'development'
   },
+  logging: {
+    level: process.env.LOG_LEVEL || 'info', // error, warn, info, debug
+    format: process.env.LOG_FORMAT || 'json', // 'json' or 'pretty'
+    file: process.env.LOG_FILE || null, // Also write JSON logs to this file
+    personaReasoning: process.env.LOG_PERSONA_REASONING === 'true' // Log each persona's reasoning text
+  },
+  auth: {
+    enabled: process.env.AUTH_ENABLED === 'true', // Require an API key on simulation routes
+    adminKey: process.env.ADMIN_API_KEY || null, // Issues and revokes keys; also accepted as a key for any workspace
+    defaultQuotas: {
+      simulationsPerDay: parseInt(process.env.KEY_SIMULATIONS_PER_DAY) || 200,
+      estimatedTokensPerDay: parseInt(process.env.KEY_TOKENS_PER_DAY) || 2000000
+    }
+  },
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 10
   }
 };
 
-
-if (!config.gemini.apiKey && config.ai.provider === 'gemini') {
-  console.error('ERROR: GEMINI_API_KEY is required in .env file for Gemini provider');
-  if (config.server.nodeEnv !== 'test') {
-    process.exit(1);
-  }
-}
-
-if (!config.openai.apiKey && config.ai.provider === 'openai') {
-  console.error('ERROR: OPENAI_API_KEY is required in .env file for OpenAI provider');
-  if (config.server.nodeEnv !== 'test') {
-    process.exit(1);
-  }
-}
-
 module.exports = config;
@@ -0,0 +1,106 @@
+const config = require('../config');
+const {
+  authenticateKey,
+  isAdminKey,
+  checkQuota,
+  reserveQuota,
+  holdReservation,
+  runWithKey,
+  runWithReservation
+} = require('../services/apiKeys');
+const { getWorkspacePersonas } = require('../services/workspaces');
+
+/**
+ * Read the key from "Authorization: Bearer <key>" or the X-API-Key header
+ */
+const readKey = (req) => {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+  return req.get('X-API-Key') || null;
+};
+
+/**
+ * Require a valid API key when config.auth.enabled is set
+ * Workspace keys pin the request to their workspace (see middleware/workspace.js);
+ * the admin key may act on any workspace.
+ */
+const requireApiKey = (req, res, next) => {
+  if (!config.auth.enabled) return next();
+
+  const plaintext = readKey(req);
+
+  if (isAdminKey(plaintext)) {
+    req.isAdmin = true;
+    return next();
+  }
+
+  const key = authenticateKey(plaintext);
+  if (!key) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+      success: false,
+      error: plaintext ? 'Invalid or revoked API key' : 'API key required'
+    });
+  }
+
+  req.apiKey = key;
+  runWithKey(key, () => next());
+};
+
+/**
+ * Require the admin key
+ * Open only while auth is disabled and no admin key is configured.
+ */
+const requireAdmin = (req, res, next) => {
+  if (!config.auth.adminKey) {
+    if (!config.auth.enabled) return next();
+    return res.status(503).json({ success: false, error: 'Admin API is disabled: ADMIN_API_KEY is not configured' });
+  }
+
+  if (!isAdminKey(readKey(req))) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer').json({ success: false, error: 'Admin API key required' });
+  }
+
+  req.isAdmin = true;
+  next();
+};
+
+/**
+ * Build a quota check for a simulation endpoint
+ * Rejects the request when the turns it runs, and the tokens they are
+ * estimated to use (config.scheduler.defaultPersonaTokens per persona call),
+ * would take the key past today's quota. Accepted requests hold what they
+ * expect to use until they finish, so concurrent requests can't overshoot it.
+ * @param {Function} [simulationsFor] - req => number of simulated turns the request runs (default 1)
+ * @returns {Function} Middleware
+ */
+const createSimulationQuota = (simulationsFor = () => 1) => (req, res, next) => {
+  if (!req.apiKey) return next();
+
+  const simulations = simulationsFor(req);
+  const estimatedTokens = simulations * getWorkspacePersonas().length * config.scheduler.defaultPersonaTokens;
+
+  const { allowed, quota, usage, reserved, limits, requested, resetAt } = checkQuota(req.apiKey, { simulations, estimatedTokens });
+  if (allowed) {
+    // Held until the response closes, or longer by jobs the request starts
+    return runWithReservation(reserveQuota(req.apiKey, requested), () => {
+      res.on('close', holdReservation());
+      next();
+    });
+  }
+
+  const retryAfter = Math.max(1, Math.ceil((Date.parse(resetAt) - Date.now()) / 1000));
+  res.status(429).set('Retry-After', String(retryAfter)).json({
+    success: false,
+    error: `Daily quota exceeded: ${quota}`,
+    usage,
+    reserved,
+    limits,
+    requested,
+    resetAt,
+    retryAfter
+  });
+};
+
+const simulationQuota = createSimulationQuota();
+
+module.exports = { requireApiKey, requireAdmin, simulationQuota, createSimulationQuota };
@@ -1,5 +1,128 @@
-const simulationRateLimiter = (req, res, next) => {
-  next();
+const { AsyncLocalStorage } = require('async_hooks');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const config = require('../config');
+const { OPENAI_PERSONAS } = require('../services/oPersonas');
+const { getWorkspacePersonas } = require('../services/workspaces');
+
+/**
+ * Simulation rate limiting, weighted by LLM calls
+ *
+ * config.rateLimit.maxRequests counts full advanced runs (one call per
+ * built-in persona) per window, so the limit is enforced in persona calls:
+ * a 20-persona run costs 20, a 10-replicate Monte Carlo costs 200 and the
+ * legacy single-persona endpoint costs 1. A single request larger than that
+ * budget (a 52-turn scenario, a 100-replicate Monte Carlo) may still run when
+ * it finds the window empty, and then uses the window up. Rejected requests
+ * are not charged. Clients are keyed by API key when one was presented,
+ * otherwise by IP.
+ */
+
+// Weight of the request being counted, read by WeightedMemoryStore
+const weightScope = new AsyncLocalStorage();
+
+/**
+ * In-memory store that adds the current request's weight instead of 1
+ */
+class WeightedMemoryStore {
+  constructor() {
+    this.hits = new Map();
+    this.localKeys = true;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    // Drop expired windows now and then so idle clients don't pile up
+    this.cleanup = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetTime.getTime() <= now) this.hits.delete(key);
+      }
+    }, this.windowMs);
+    this.cleanup.unref();
+  }
+
+  entry(key) {
+    const existing = this.hits.get(key);
+    if (existing && existing.resetTime.getTime() > Date.now()) return existing;
+
+    const fresh = { totalHits: 0, resetTime: new Date(Date.now() + this.windowMs) };
+    this.hits.set(key, fresh);
+    return fresh;
+  }
+
+  async get(key) {
+    const existing = this.hits.get(key);
+    return existing && existing.resetTime.getTime() > Date.now() ? existing : undefined;
+  }
+
+  async increment(key) {
+    const entry = this.entry(key);
+    entry.totalHits += weightScope.getStore() || 1;
+    return { ...entry };
+  }
+
+  async decrement(key) {
+    const entry = this.entry(key);
+    entry.totalHits = Math.max(0, entry.totalHits - (weightScope.getStore() || 1));
+  }
+
+  async resetKey(key) {
+    this.hits.delete(key);
+  }
+
+  async resetAll() {
+    this.hits.clear();
+  }
+}
+
+const store = new WeightedMemoryStore();
+
+const limiter = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  // Never below the weight of the request itself, so every request the schemas accept can run
+  limit: () => Math.max(config.rateLimit.maxRequests * OPENAI_PERSONAS.length, weightScope.getStore() || 1),
+  standardHeaders: 'draft-6', // RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset
+  legacyHeaders: false,
+  store,
+  keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey.id}` : `ip:${ipKeyGenerator(req.ip)}`),
+  handler: async (req, res) => {
+    const { key, limit, used, resetTime } = req.rateLimit;
+    const weight = weightScope.getStore() || 1;
+    const retryAfter = Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000));
+
+    // The rejected request doesn't count against the window
+    await store.decrement(key);
+
+    res.status(429).set('Retry-After', String(retryAfter)).json({
+      success: false,
+      error: 'Too many simulation requests',
+      message: `This request needs ${weight} persona calls and ${used - weight} of ${limit} per ${config.rateLimit.windowMs / 1000}s are used; retry after ${retryAfter}s`,
+      weight,
+      limit,
+      used: used - weight,
+      retryAfter,
+      resetAt: resetTime.toISOString()
+    });
+  }
+});
+
+/**
+ * Build a rate limiting middleware for a simulation endpoint
+ * @param {Function} [simulationsFor] - req => number of simulated turns the request runs (default 1)
+ * @returns {Function} Middleware charging turns x workspace persona count
+ */
+const createSimulationRateLimiter = (simulationsFor = () => 1) => (req, res, next) => {
+  const weight = Math.max(1, simulationsFor(req) * getWorkspacePersonas().length);
+  weightScope.run(weight, () => limiter(req, res, next));
+};
+
+/**
+ * Single-persona simulations (legacy endpoint)
+ */
+const personaRateLimiter = (req, res, next) => {
+  weightScope.run(1, () => limiter(req, res, next));
 };
 
-module.exports = { simulationRateLimiter };
\ No newline at end of file
+const simulationRateLimiter = createSimulationRateLimiter();
+
+module.exports = { simulationRateLimiter, createSimulationRateLimiter, personaRateLimiter };
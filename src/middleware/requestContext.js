@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const { createLogger, runWithLogContext } = require('../services/logger');
+
+const log = createLogger('http');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+/**
+ * Tag the request with a correlation ID and log its outcome
+ * Honours a well-formed incoming X-Request-Id and echoes it back.
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startTime = Date.now();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  res.on('finish', () => {
+    log.info('Request completed', {
+      requestId,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Date.now() - startTime
+    });
+  });
+
+  runWithLogContext({ requestId }, () => next());
+};
+
+module.exports = { requestContext, REQUEST_ID_HEADER };
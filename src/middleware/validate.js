@@ -0,0 +1,25 @@
+/**
+ * Validate the request body against a Joi schema
+ * Runs ahead of rate limiting and quotas, so that malformed requests are
+ * rejected without being charged and later middleware sizes the request from
+ * validated values (with schema defaults applied). The validated value
+ * replaces req.body.
+ * @param {Object} schema - Joi schema
+ * @returns {Function} Middleware responding 400 on validation failure
+ */
+const validateBody = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body ?? {});
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+module.exports = { validateBody };
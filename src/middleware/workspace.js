@@ -0,0 +1,35 @@
+const { DEFAULT_WORKSPACE, workspaceExists, runInWorkspace } = require('../services/workspaces');
+const { runWithLogContext } = require('../services/logger');
+
+const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+/**
+ * Run the rest of the request inside a workspace
+ * The workspace comes from the :workspaceId path parameter, then the
+ * X-Workspace-Id header, then the API key's workspace, and falls back to
+ * the default workspace. Workspace keys can't reach other workspaces.
+ */
+const workspaceContext = (req, res, next) => {
+  const requested = req.params.workspaceId || req.get(WORKSPACE_HEADER);
+
+  if (req.apiKey && requested && requested !== req.apiKey.workspaceId) {
+    return res.status(403).json({
+      success: false,
+      error: `API key is not valid for workspace: ${requested}`
+    });
+  }
+
+  const workspaceId = requested || (req.apiKey && req.apiKey.workspaceId) || DEFAULT_WORKSPACE;
+
+  if (!workspaceExists(workspaceId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Workspace not found: ${workspaceId}`
+    });
+  }
+
+  req.workspaceId = workspaceId;
+  runInWorkspace(workspaceId, () => runWithLogContext({ workspaceId }, () => next()));
+};
+
+module.exports = { workspaceContext, WORKSPACE_HEADER };
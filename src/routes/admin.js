@@ -0,0 +1,74 @@
+/**
+ * Admin Routes - Issue and revoke API keys
+ *
+ * All routes require the admin key (ADMIN_API_KEY).
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { requireAdmin } = require('../middleware/auth');
+const { issueKey, revokeKey, listKeys } = require('../services/apiKeys');
+const { WORKSPACE_ID_PATTERN, workspaceExists } = require('../services/workspaces');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * Request validation schema for issuing a key
+ */
+const issueKeySchema = Joi.object({
+  workspaceId: Joi.string().pattern(WORKSPACE_ID_PATTERN).required(),
+  name: Joi.string().max(100).optional(),
+  quotas: Joi.object({
+    simulationsPerDay: Joi.number().integer().min(0).optional(),
+    estimatedTokensPerDay: Joi.number().integer().min(0).optional()
+  }).optional()
+});
+
+/**
+ * POST /api/admin/keys
+ * Issue a key for a workspace. The plaintext key is only returned here.
+ */
+router.post('/keys', (req, res) => {
+  const { error, value } = issueKeySchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  if (!workspaceExists(value.workspaceId)) {
+    return res.status(404).json({ success: false, error: `Workspace not found: ${value.workspaceId}` });
+  }
+
+  const { key, apiKey } = issueKey(value);
+  res.status(201).json({ success: true, apiKey, key });
+});
+
+/**
+ * GET /api/admin/keys
+ * List keys with today's usage, optionally filtered by ?workspaceId=
+ */
+router.get('/keys', (req, res) => {
+  res.status(200).json({ success: true, keys: listKeys(req.query.workspaceId) });
+});
+
+/**
+ * DELETE /api/admin/keys/:keyId
+ * Revoke a key
+ */
+router.delete('/keys/:keyId', (req, res) => {
+  const key = revokeKey(req.params.keyId);
+
+  if (!key) {
+    return res.status(404).json({ success: false, error: 'Key not found' });
+  }
+
+  res.status(200).json({ success: true, key });
+});
+
+module.exports = router;
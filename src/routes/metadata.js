@@ -4,16 +4,16 @@
 
 const express = require('express');
 const router = express.Router();
-const { OPENAI_PERSONAS } = require('../services/oPersonas');
+const { getWorkspacePersonas } = require('../services/workspaces');
 const { getProvider } = require('../services/providerFactory');
 
 /**
  * GET /api/metadata/personas
- * Get all available personas/archetypes
+ * Get all available personas/archetypes in the active workspace
  */
 router.get('/personas', (req, res) => {
   try {
-    const personas = OPENAI_PERSONAS;
+    const personas = getWorkspacePersonas();
 
     res.json({
       success: true,
@@ -0,0 +1,23 @@
+/**
+ * Metrics Route - Prometheus scrape endpoint
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { register } = require('../services/metrics');
+
+/**
+ * GET /metrics
+ * Metrics in the Prometheus text exposition format
+ * Needs the admin key when one is configured.
+ */
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    res.set('Content-Type', register.contentType).send(await register.metrics());
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,11 @@ const express = require('express');
 const { getPersonaById } = require('../services/persona');
 const { buildPrompt } = require('../services/prompt');
 const { runAgent } = require('../services/gemini');
+const { personaRateLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
-router.post('/', async (req, res) => {
+router.post('/', personaRateLimiter, async (req, res) => {
   try {
     const { personaId, event } = req.body;
 
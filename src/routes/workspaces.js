@@ -0,0 +1,110 @@
+/**
+ * Workspace Routes - Create, list and delete isolated workspaces
+ *
+ * Simulation endpoints run inside a workspace picked with the X-Workspace-Id
+ * header or the /api/workspaces/:workspaceId/... path prefix. Managing
+ * workspaces requires the admin key once one is configured.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { requireAdmin } = require('../middleware/auth');
+const { OPENAI_PERSONAS } = require('../services/oPersonas');
+const { DAYPARTS } = require('../services/queueModel');
+const {
+  DEFAULT_WORKSPACE,
+  WORKSPACE_ID_PATTERN,
+  createWorkspace,
+  listWorkspaces,
+  deleteWorkspace,
+  workspaceExists
+} = require('../services/workspaces');
+
+const router = express.Router();
+
+// A location on the simulation map canvas
+const mapPoint = Joi.object({
+  x: Joi.number().min(-50).max(50).required(),
+  y: Joi.number().min(-50).max(50).required()
+});
+
+/**
+ * Request validation schema for creating a workspace
+ * Personas are picked from the built-in set by ID, with optional overrides
+ * of the attributes the context generator and prompts read.
+ */
+const workspaceSchema = Joi.object({
+  id: Joi.string().pattern(WORKSPACE_ID_PATTERN).invalid(DEFAULT_WORKSPACE).required(),
+  name: Joi.string().min(1).max(100).optional(),
+  description: Joi.string().max(500).optional(),
+  personas: Joi.array().items(
+    Joi.object({
+      id: Joi.number().integer().valid(...OPENAI_PERSONAS.map(p => p.id)).required(),
+      name: Joi.string().min(1).max(50),
+      description: Joi.string().max(500),
+      quirks: Joi.string().max(500),
+      priceSensitivity: Joi.number().min(0).max(1),
+      brandLoyalty: Joi.number().min(0).max(1),
+      socialInfluenceWeight: Joi.number().min(0).max(1),
+      qualityThreshold: Joi.number().min(0).max(1),
+      budgetRange: Joi.array().items(Joi.number().min(0)).length(2),
+      preferredTimes: Joi.array().items(Joi.string().valid(...DAYPARTS)).min(1),
+      valuesSpeed: Joi.boolean(),
+      valuesQuality: Joi.boolean(),
+      home: mapPoint,
+      work: mapPoint.allow(null)
+    })
+  ).min(1).unique('id').optional()
+});
+
+/**
+ * GET /api/workspaces
+ * List workspaces
+ */
+router.get('/', requireAdmin, (req, res) => {
+  res.status(200).json({ success: true, workspaces: listWorkspaces() });
+});
+
+/**
+ * POST /api/workspaces
+ * Create a workspace with its own memory, threads, personas and run history
+ */
+router.post('/', requireAdmin, (req, res) => {
+  const { error, value } = workspaceSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const { created, workspace } = createWorkspace(value);
+
+  if (!created) {
+    return res.status(409).json({ success: false, error: `Workspace already exists: ${value.id}`, workspace });
+  }
+
+  res.status(201).json({ success: true, workspace });
+});
+
+/**
+ * DELETE /api/workspaces/:workspaceId
+ * Delete a workspace and all of its data (the default workspace can't be deleted)
+ */
+router.delete('/:workspaceId', requireAdmin, (req, res) => {
+  const { workspaceId } = req.params;
+
+  if (workspaceId === DEFAULT_WORKSPACE) {
+    return res.status(400).json({ success: false, error: 'The default workspace cannot be deleted' });
+  }
+
+  if (!workspaceExists(workspaceId) || !deleteWorkspace(workspaceId)) {
+    return res.status(404).json({ success: false, error: 'Workspace not found' });
+  }
+
+  res.status(200).json({ success: true, id: workspaceId });
+});
+
+module.exports = router;
@@ -1,20 +1,39 @@
 const express = require('express');
 const cors = require('cors');
 const config = require('./config');
-const { simulationRateLimiter } = require('./middleware/rateLimiter');
+const { workspaceContext } = require('./middleware/workspace');
+const { requireApiKey } = require('./middleware/auth');
+const { requestContext } = require('./middleware/requestContext');
+const { logger, createLogger } = require('./services/logger');
 const simulateRoute = require('./routes/simulate');
 const advancedSimulateRoute = require('./services/advancedSimulate');
 const metadataRoute = require('./routes/metadata');
+const workspacesRoute = require('./routes/workspaces');
+const adminRoute = require('./routes/admin');
+const metricsRoute = require('./routes/metrics');
 
 const app = express();
 
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(requestContext);
 
-app.use('/api/simulate', simulationRateLimiter, simulateRoute);
-app.use('/api/simulate/advanced', advancedSimulateRoute);
-app.use('/api/metadata', metadataRoute);
+app.use('/metrics', metricsRoute);
+app.use('/api/admin', adminRoute);
+app.use('/api/workspaces', workspacesRoute);
+
+// Workspace-scoped routes, selected by X-Workspace-Id header or API key...
+// The advanced router goes first and answers every path under its prefix:
+// /api/simulate would otherwise authenticate and enter the workspace scope a
+// second time for advanced requests.
+app.use('/api/simulate/advanced', requireApiKey, workspaceContext, advancedSimulateRoute);
+app.use('/api/simulate', requireApiKey, workspaceContext, simulateRoute);
+app.use('/api/metadata', requireApiKey, workspaceContext, metadataRoute);
+
+// ...or by path prefix
+app.use('/api/workspaces/:workspaceId/simulate/advanced', requireApiKey, workspaceContext, advancedSimulateRoute);
+app.use('/api/workspaces/:workspaceId/metadata', requireApiKey, workspaceContext, metadataRoute);
 
 app.get('/', (req, res) => {
   res.json({
@@ -29,8 +48,39 @@ app.get('/', (req, res) => {
   });
 });
 
-const PORT = config.server.port;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+/**
+ * Log the loaded config and stop when the selected provider has no key
+ * With a fallback chain, missing keys just drop that provider from the chain.
+ */
+function checkConfig() {
+  const log = createLogger('config');
+
+  log.debug('Loaded config', {
+    provider: config.ai.provider,
+    geminiKeyPresent: Boolean(config.gemini.apiKey)
+  });
+
+  if (config.ai.fallbackChain.length > 0) return;
+
+  if (!config.gemini.apiKey && config.ai.provider === 'gemini') {
+    log.error('GEMINI_API_KEY is required in .env file for Gemini provider');
+    process.exit(1);
+  }
+
+  if (!config.openai.apiKey && config.ai.provider === 'openai') {
+    log.error('OPENAI_API_KEY is required in .env file for OpenAI provider');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  checkConfig();
+
+  const PORT = config.server.port;
+  app.listen(PORT, () => {
+    logger.info('Server running', { port: PORT });
+  });
+}
+
+module.exports = app;
 
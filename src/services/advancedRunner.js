@@ -0,0 +1,352 @@
+/**
+ * Advanced Simulation Runner - Runs one advanced turn and builds its response
+ *
+ * Shared by the advanced simulation endpoints so single runs, comparisons
+ * and multi-turn scenarios all produce the same response shape.
+ */
+
+const config = require('../config');
+const { processBatchedSimulation } = require('./batchProcessor');
+const { getEnhancedMemoryState, getMemoryScope } = require('./enhancedMemory');
+const { generateInsight } = require('./gemini');
+const { createRng, hashSeed, generateSeed } = require('./rng');
+const { saveRun } = require('./runHistory');
+const { calculateProfitAndLoss } = require('./profitModel');
+const { summarizeItems } = require('./basket');
+const { initializeCompetitors } = require('./competitorAgents');
+const { getWorkspacePersonas } = require('./workspaces');
+const { createLogger } = require('./logger');
+
+const log = createLogger('advancedAPI');
+
+/**
+ * Derive price, quality, event and business state from a validated request
+ * Falls back to menu prices, staffing hours and marketing tactics when the
+ * direct parameters are missing.
+ * @param {Object} value - Validated advancedSimulationSchema payload
+ * @returns {Object} { derivedPrice, derivedQuality, derivedEvent, businessState }
+ */
+function deriveSimulationInputs(value) {
+  const { employees, competitors, marketingTactics, productChanges, price, quality, event } = value;
+
+  // Derived context if direct parameters are missing
+  let derivedPrice = price;
+  if (!derivedPrice && productChanges) {
+    const prices = Object.values(productChanges);
+    if (prices.length > 0) derivedPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
+  }
+  derivedPrice = derivedPrice || 5.0; // Default fallback
+
+  let derivedQuality = quality;
+  if (!derivedQuality && employees) {
+    const totalHours = employees.reduce((acc, emp) => acc + emp.hours, 0);
+    // Baseline 40 hours = 5/10. Every 10 hours add 1.
+    derivedQuality = Math.min(10, Math.max(1, 5 + Math.floor((totalHours - 40) / 10)));
+  }
+  derivedQuality = derivedQuality || 5; // Default fallback
+
+  let derivedEvent = event;
+  if (!derivedEvent && marketingTactics && marketingTactics.length > 0) {
+    derivedEvent = marketingTactics.join(", ");
+  }
+  derivedEvent = derivedEvent || "Regular Business Day";
+
+  // Pass rich business context
+  const businessState = {
+    employees: employees || [],
+    competitors: initializeCompetitors(competitors, { price: derivedPrice, quality: derivedQuality }),
+    marketingTactics: marketingTactics || [],
+    productChanges: productChanges || {}
+  };
+
+  return { derivedPrice, derivedQuality, derivedEvent, businessState };
+}
+
+/**
+ * processBatchedSimulation options that come from the request
+ * @param {Object} value - Validated advancedSimulationSchema payload
+ * @returns {Object} { customersPerPersona, socialGraph }
+ */
+function batchOptionsFor(value) {
+  return {
+    customersPerPersona: value.financials && value.financials.customersPerPersona,
+    socialGraph: value.socialGraph
+  };
+}
+
+/**
+ * Item demand and P&L of a batched turn
+ * Every endpoint reporting revenue goes through here, so that its figures
+ * match the profitAndLoss block of an advanced run.
+ * @param {Array<Object>} results - Persona results of the turn
+ * @param {Object} options
+ * @param {number} options.price - Simulated price
+ * @param {Object} options.businessState - From deriveSimulationInputs
+ * @param {Object} [options.financials] - Request financials
+ * @returns {Object} { menuPerformance, profitAndLoss }
+ */
+function summarizeFinancials(results, { price, businessState, financials }) {
+  const menuPerformance = Object.keys(businessState.productChanges).length > 0
+    ? summarizeItems(results, businessState.productChanges)
+    : undefined;
+
+  const profitAndLoss = calculateProfitAndLoss(results, { price, businessState, financials, menuPerformance });
+
+  return { menuPerformance, profitAndLoss };
+}
+
+/**
+ * Run one advanced simulation turn
+ * Must be called inside the memory fork the run should use (if any), since
+ * brand health is read from memory after the turn.
+ * @param {Object} value - Validated advancedSimulationSchema payload
+ * @param {Object} options
+ * @param {boolean} [options.includeInsight=true] - Ask Gemini for an executive summary
+ * @param {Function} [options.onBatchComplete] - Progress hook passed to processBatchedSimulation
+ * @param {Function} [options.onPersonaResult] - Called with each persona's result (including its position) as it resolves
+ * @param {boolean} [options.persist] - Save the run to history (default: when running against live memory or a snapshot branch)
+ * @returns {Promise<Object>} { success, response } or { success: false, error }
+ */
+async function runAdvancedSimulation(value, options = {}) {
+  const scope = getMemoryScope();
+  const { includeInsight = true, onBatchComplete, persist = !scope || Boolean(scope.branch) } = options;
+  const { turnNumber } = value;
+  const seed = value.seed !== undefined ? value.seed : generateSeed();
+  const { derivedPrice, derivedQuality, derivedEvent, businessState } = deriveSimulationInputs(value);
+
+  // Map ID to Competitor for easy lookup
+  const competitorMap = new Map();
+  businessState.competitors.forEach(c => competitorMap.set(c.id, c));
+
+  // --- SPATIAL LOGIC ---
+  const positionFor = (personaResult) => calculatePosition(
+    personaResult.decision,
+    personaResult.targetId,
+    personaResult.emotion,
+    competitorMap,
+    createRng(hashSeed(seed, 'position', personaResult.personaId, turnNumber))
+  );
+
+  const onPersonaResult = options.onPersonaResult
+    ? (personaResult) => options.onPersonaResult({ ...personaResult, position: personaResult.error ? undefined : positionFor(personaResult) })
+    : undefined;
+
+  log.info('Starting advanced simulation', { turnNumber, price: derivedPrice, quality: derivedQuality, event: derivedEvent });
+
+  const startTime = Date.now();
+
+  // Run batched simulation
+  const result = await processBatchedSimulation(derivedPrice, derivedQuality, derivedEvent, turnNumber, businessState, {
+    seed,
+    onBatchComplete,
+    onPersonaResult,
+    ...batchOptionsFor(value)
+  });
+
+  const duration = Date.now() - startTime;
+
+  if (!result.success) {
+    return { success: false, error: result.error || 'Unknown error' };
+  }
+
+  // Calculate enhanced statistics
+  const emotionBreakdown = {};
+  const pricePerceptionBreakdown = {};
+  const trustDistribution = { low: 0, medium: 0, high: 0 };
+
+  for (const personaResult of result.results) {
+    // Skip personas that failed
+    if (personaResult.error) continue;
+
+    personaResult.position = positionFor(personaResult);
+
+    // Emotion breakdown
+    emotionBreakdown[personaResult.emotion] = (emotionBreakdown[personaResult.emotion] || 0) + 1;
+
+    // Price perception breakdown
+    pricePerceptionBreakdown[personaResult.pricePerception] = (pricePerceptionBreakdown[personaResult.pricePerception] || 0) + 1;
+
+    // Trust distribution
+    const trust = personaResult.context ? personaResult.context.trust : 50;
+    if (trust < 50) trustDistribution.low++;
+    else if (trust < 80) trustDistribution.medium++;
+    else trustDistribution.high++;
+  }
+
+  // Get memory states for additional insights
+  const memoryStates = getWorkspacePersonas().map(p => getEnhancedMemoryState(p.id));
+
+  const permanentlyGoneCount = memoryStates
+    .filter(state => state.flags.isPermanentlyGone).length;
+
+  const onLastChanceCount = memoryStates
+    .filter(state => state.flags.isOnLastChance).length;
+
+  const hasRoutineCount = memoryStates
+    .filter(state => state.experienceTracking.hasRoutine).length;
+
+  // Market mood label
+  const marketMoodLabel = getMarketMoodLabel(result.momentum);
+
+  const { menuPerformance, profitAndLoss } = summarizeFinancials(result.results, {
+    price: derivedPrice,
+    businessState,
+    financials: value.financials
+  });
+
+  // Generate AI Summary & Insights
+  let aiInsight = "Detailed insights not available.";
+  if (includeInsight) {
+    try {
+      log.info('Generating AI insights');
+      // We pass the full results to let Gemini analyze the reasonings
+      aiInsight = await generateInsight(result.results, result.summary, businessState, profitAndLoss);
+    } catch (err) {
+      log.error('Insight generation failed', { error: err.message, stack: err.stack });
+    }
+  }
+
+  // Build response
+  const response = {
+    success: true,
+    turnNumber,
+    aiInsight, // High-level executive summary
+    simulation: {
+      price: derivedPrice,
+      quality: derivedQuality,
+      event: derivedEvent,
+      timestamp: result.metadata.timestamp,
+      duration: `${duration}ms`,
+      personasAnalyzed: result.summary.totalPersonas,
+      results: result.results
+    },
+    summary: {
+      ...result.summary,
+      emotionBreakdown,
+      pricePerceptionBreakdown,
+      trustDistribution
+    },
+    momentum: {
+      ...result.momentum,
+      marketMood: marketMoodLabel
+    },
+    archetypeInsights: result.archetypeBreakdown,
+    menuPerformance,
+    queue: result.queue || undefined,
+    socialInfluence: result.socialInfluence,
+    competitors: businessState.competitors.length > 0 ? businessState.competitors : undefined,
+    profitAndLoss,
+    brandHealth: {
+      permanentlyGone: permanentlyGoneCount,
+      onLastChance: onLastChanceCount,
+      hasRoutine: hasRoutineCount,
+      averageTrust: Object.values(trustDistribution).reduce((sum, count, idx) => {
+        const trustValue = idx === 0 ? 25 : idx === 1 ? 65 : 90;
+        return sum + (trustValue * count);
+      }, 0) / result.summary.totalPersonas
+    },
+    metadata: {
+      seed: result.metadata.seed,
+      simulationId: result.metadata.simulationId,
+      batchSize: config.scheduler.maxBatchSize,
+      batchSizes: result.metadata.batchSizes,
+      batchesProcessed: result.metadata.batchesProcessed,
+      estimatedTokens: result.metadata.estimatedTokens,
+      aiProvider: result.metadata.aiProvider || 'openai',
+      branch: scope && scope.branch ? scope.branch : undefined,
+      systemVersion: 'Phase 4 - Advanced Archetype System'
+    }
+  };
+
+  if (persist) {
+    try {
+      response.metadata.runId = saveRun({ ...value, seed }, response).runId;
+    } catch (err) {
+      log.error('Failed to save run history', { error: err.message, stack: err.stack });
+    }
+  }
+
+  log.info('Advanced simulation complete', {
+    simulationId: result.metadata.simulationId,
+    durationMs: duration,
+    buy: result.summary.buyCount,
+    skip: result.summary.skipCount,
+    switch: result.summary.switchCount,
+    marketMood: marketMoodLabel,
+    permanentlyGone: permanentlyGoneCount,
+    onLastChance: onLastChanceCount
+  });
+
+  return { success: true, response };
+}
+
+/**
+ * Helper function to get market mood label
+ */
+function getMarketMoodLabel(momentum) {
+  if (momentum.leaving >= 0.7) return 'Brand Crisis';
+  if (momentum.leaving >= 0.5) return 'Mass Exodus';
+  if (momentum.leaving >= 0.3) return 'Resentful';
+  if (momentum.staying >= 0.8) return 'Viral Hype';
+  if (momentum.staying >= 0.6) return 'FOMO Wave';
+  if (momentum.staying >= 0.55) return 'Optimistic';
+  if (momentum.leaving >= 0.55) return 'Skeptical';
+  return 'Balanced';
+}
+
+/**
+ * Calculate spatial position on 100x100 canvas (x: -50 to 50, y: -50 to 50)
+ * @param {Function} random - Random source for jitter (seeded PRNG or Math.random)
+ */
+function calculatePosition(decision, targetId, emotion, competitorMap, random = Math.random) {
+  const getRandomOffset = (radius) => {
+    const r = random() * radius;
+    const theta = random() * 2 * Math.PI;
+    return {
+      x: r * Math.cos(theta),
+      y: r * Math.sin(theta)
+    };
+  };
+
+  // Case 1: BUY -> Go to Home (0,0) with tight cluster
+  if (decision === 'Buy') {
+    const offset = getRandomOffset(15); // Within 15px
+    return { x: offset.x, y: offset.y };
+  }
+
+  // Case 2: SWITCH -> Go to Competitor
+  if (decision === 'Switch' && targetId && competitorMap.has(targetId)) {
+    const comp = competitorMap.get(targetId);
+    const offset = getRandomOffset(15); // Within 15px of competitor
+    return {
+      x: comp.x + offset.x,
+      y: comp.y + offset.y
+    };
+  }
+
+  // Case 3: SKIP -> "Halfway" or "Middle of nowhere"
+  // Neutral/Satisfied but skipped -> Loitering nearby (20-35px)
+  // Angry/Frustrated -> Leaving far away (40-50px)
+  const isAngry = ['frustrated', 'angry', 'betrayed', 'annoyed'].includes(emotion?.toLowerCase());
+
+  if (isAngry) {
+    // Edge of canvas (40-50px radius)
+    const r = 40 + random() * 10;
+    const theta = random() * 2 * Math.PI;
+    return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
+  } else {
+    // "Halfway" / Loitering (20-35px radius)
+    const r = 20 + random() * 15;
+    const theta = random() * 2 * Math.PI;
+    return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
+  }
+}
+
+module.exports = {
+  runAdvancedSimulation,
+  deriveSimulationInputs,
+  batchOptionsFor,
+  summarizeFinancials,
+  getMarketMoodLabel,
+  calculatePosition
+};
@@ -8,12 +8,71 @@
 
 const express = require('express');
 const Joi = require('joi');
-const { processBatchedSimulation } = require('./batchProcessor');
-const { simulationRateLimiter } = require('../middleware/rateLimiter');
+const { simulationRateLimiter, createSimulationRateLimiter } = require('../middleware/rateLimiter');
+const { simulationQuota, createSimulationQuota } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
 const { getEnhancedMemoryState } = require('./enhancedMemory');
-const { generateInsight } = require('./gemini');
+const { runAdvancedSimulation, deriveSimulationInputs, getMarketMoodLabel } = require('./advancedRunner');
+const { runMonteCarlo } = require('./monteCarlo');
+const { runPriceSweep } = require('./priceSweep');
+const { runComparison } = require('./scenarioComparison');
+const { runScenario } = require('./scenarioRunner');
+const { createJob, getJob, cancelJob, listJobs, subscribeToJob } = require('./jobManager');
+const { runWithSignal, CancelledError } = require('./cancellation');
+const { listRuns, getRun, deleteRun, deleteRuns } = require('./runHistory');
+const { diffRuns } = require('./runDiff');
+const {
+  SNAPSHOT_NAME_PATTERN,
+  getSnapshot,
+  createSnapshot,
+  listSnapshots,
+  restoreSnapshot,
+  deleteSnapshot,
+  runOnBranch
+} = require('./memorySnapshots');
+const { clearThreads } = require('./oThreadManager');
+const { clearChatHistories } = require('./gemini');
+const { getWorkspacePersonas } = require('./workspaces');
+const { DAYPARTS } = require('./queueModel');
+const { STRATEGIES } = require('./competitorAgents');
+const { createLogger } = require('./logger');
 
 const router = express.Router();
+const log = createLogger('advancedAPI');
+
+const DEFAULT_REPLICATES = 10;
+const DEFAULT_SWEEP_STEPS = 6;
+
+/**
+ * Rate limit and daily quota checks for a request running several turns
+ * @param {Function} simulationsFor - req => number of simulated turns, from the validated body
+ * @returns {Array<Function>} Middleware
+ */
+const chargeSimulations = (simulationsFor) => [createSimulationRateLimiter(simulationsFor), createSimulationQuota(simulationsFor)];
+
+/**
+ * Snapshot name to run a request "on a branch" of
+ */
+const branchSchema = Joi.string().pattern(SNAPSHOT_NAME_PATTERN).optional();
+
+/**
+ * Resolve the memory a request runs against
+ * Sends a 404 when the branch's snapshot doesn't exist.
+ * @param {string} [branch] - Snapshot name
+ * @param {Object} res - Express response
+ * @returns {Function|null} run(fn) wrapper, or null if the response was already sent
+ */
+function resolveBranch(branch, res) {
+  if (!branch) return (fn) => fn();
+
+  const snapshot = getSnapshot(branch);
+  if (!snapshot) {
+    res.status(404).json({ success: false, error: `Snapshot not found: ${branch}` });
+    return null;
+  }
+
+  return (fn) => runOnBranch(snapshot, fn);
+}
 
 /**
  * Request validation schema for advanced simulation
@@ -23,7 +82,9 @@ const advancedSimulationSchema = Joi.object({
     Joi.object({
       name: Joi.string(),
       rate: Joi.number(),
-      hours: Joi.number()
+      hours: Joi.number(),
+      serviceRate: Joi.number().positive().optional(), // Customers served per hour
+      dayparts: Joi.array().items(Joi.string().valid(...DAYPARTS)).min(1).optional()
     })
   ).optional(),
   competitors: Joi.array().items(
@@ -31,266 +92,681 @@ const advancedSimulationSchema = Joi.object({
       id: Joi.number().required(),
       name: Joi.string().required(),
       x: Joi.number().required(),
-      y: Joi.number().required()
+      y: Joi.number().required(),
+      price: Joi.number().positive().optional(),
+      quality: Joi.number().min(1).max(10).optional(),
+      promo: Joi.string().max(200).allow(null).optional(),
+      strategy: Joi.string().valid(...STRATEGIES).optional(),
+      undercutBy: Joi.number().min(0).max(0.9).optional(),
+      premiumBy: Joi.number().min(0).max(2).optional(),
+      minPrice: Joi.number().min(0).optional()
     })
   ).optional(),
   marketingTactics: Joi.array().items(Joi.string()).optional(),
   productChanges: Joi.object().pattern(Joi.string(), Joi.number()).optional(),
+  financials: Joi.object({
+    customersPerPersona: Joi.number().integer().min(1).optional(),
+    cogs: Joi.object().pattern(Joi.string(), Joi.number().min(0)).optional(),
+    marketingCosts: Joi.object().pattern(Joi.string(), Joi.number().min(0)).optional()
+  }).optional(),
+  socialGraph: Joi.array().items(
+    Joi.object({
+      from: Joi.number().integer().required(),
+      to: Joi.number().integer().required(),
+      weight: Joi.number().min(0).max(1).required(),
+      mutual: Joi.boolean().optional()
+    })
+  ).max(400).optional(),
   price: Joi.number().positive().optional(),
   quality: Joi.number().min(1).max(10).optional(),
   event: Joi.string().min(1).max(200).optional(),
-  turnNumber: Joi.number().integer().min(1).optional().default(1)
+  turnNumber: Joi.number().integer().min(1).optional().default(1),
+  seed: Joi.alternatives(Joi.number().integer().min(0), Joi.string().max(100)).optional(),
+  branch: branchSchema
 });
 
 /**
  * POST /api/simulate/advanced
  * Run advanced archetype-based simulation with batching
+ * With ?async=true, responds 202 with a job ID right away; poll GET /jobs/:jobId
+ * or follow it with GET /jobs/:jobId/stream.
+ * With `branch`, runs on a fork of that snapshot and leaves live memory untouched.
  */
-router.post('/', simulationRateLimiter, async (req, res) => {
+router.post('/', validateBody(advancedSimulationSchema), simulationRateLimiter, simulationQuota, async (req, res) => {
   try {
-    // Validate request
-    const { error, value } = advancedSimulationSchema.validate(req.body);
+    const value = req.body;
 
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        details: error.details.map(d => d.message)
+    const onBranch = resolveBranch(value.branch, res);
+    if (!onBranch) return;
+
+    if (req.query.async === 'true') {
+      const job = createJob('advanced', async (hooks) => {
+        const run = await onBranch(() => runAdvancedSimulation(value, hooks));
+        if (!run.success) throw new Error(run.error);
+        return run.response;
+      });
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/jobs/${job.jobId}`,
+        streamUrl: `${req.baseUrl}/jobs/${job.jobId}/stream`
       });
     }
 
-    const { employees, competitors, marketingTactics, productChanges, price, quality, event, turnNumber } = value;
+    const { success, response, error: runError } = await onBranch(() => runAdvancedSimulation(value));
 
-    // Derived context if direct parameters are missing
-    let derivedPrice = price;
-    if (!derivedPrice && productChanges) {
-      const prices = Object.values(productChanges);
-      if (prices.length > 0) derivedPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
+    if (!success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Simulation failed',
+        details: runError
+      });
     }
-    derivedPrice = derivedPrice || 5.0; // Default fallback
 
-    let derivedQuality = quality;
-    if (!derivedQuality && employees) {
-      const totalHours = employees.reduce((acc, emp) => acc + emp.hours, 0);
-      // Baseline 40 hours = 5/10. Every 10 hours add 1.
-      derivedQuality = Math.min(10, Math.max(1, 5 + Math.floor((totalHours - 40) / 10)));
-    }
-    derivedQuality = derivedQuality || 5; // Default fallback
+    res.status(200).json(response);
 
-    let derivedEvent = event;
-    if (!derivedEvent && marketingTactics && marketingTactics.length > 0) {
-      derivedEvent = marketingTactics.join(", ");
-    }
-    derivedEvent = derivedEvent || "Regular Business Day";
+  } catch (error) {
+    log.error('Unexpected error', { error: error.message, stack: error.stack });
 
-    console.log(`[AdvancedAPI] Turn ${turnNumber}: price=$${derivedPrice.toFixed(2)}, quality=${derivedQuality}/10, event="${derivedEvent}"`);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
 
-    const startTime = Date.now();
+/**
+ * Open a Server-Sent Events stream on a response
+ * @param {Object} res - Express response
+ * @returns {Function} send(event, data)
+ */
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
 
-    // Pass rich business context
-    const businessState = {
-      employees: employees || [],
-      competitors: competitors || [],
-      marketingTactics: marketingTactics || [],
-      productChanges: productChanges || {}
-    };
+/**
+ * Payload of a 'persona' stream event
+ */
+const personaEvent = (personaResult) => ({
+  personaId: personaResult.personaId,
+  personaName: personaResult.personaName,
+  archetype: personaResult.archetype,
+  decision: personaResult.decision,
+  emotion: personaResult.emotion,
+  pricePerception: personaResult.pricePerception,
+  targetId: personaResult.targetId,
+  basket: personaResult.basket,
+  drivingItems: personaResult.drivingItems,
+  travel: personaResult.travel,
+  position: personaResult.position,
+  provider: personaResult.provider,
+  error: personaResult.error
+});
 
-    // Run batched simulation
-    const result = await processBatchedSimulation(derivedPrice, derivedQuality, derivedEvent, turnNumber, businessState);
+/**
+ * Payload of a 'momentum' stream event
+ */
+const momentumEvent = ({ batchNumber, completed, total, momentum }) => ({
+  batchNumber,
+  completed,
+  total,
+  momentum: { ...momentum, marketMood: getMarketMoodLabel(momentum) }
+});
 
-    const duration = Date.now() - startTime;
+/**
+ * POST /api/simulate/advanced/stream
+ * Run an advanced simulation and stream progress as Server-Sent Events:
+ * - persona:  one persona resolved (decision, emotion, canvas position)
+ * - momentum: a wave finished; market momentum for the next one
+ * - complete: full response, including summary and aiInsight
+ * - error:    the run failed
+ * Closing the connection cancels the run before memory is updated.
+ */
+router.post('/stream', validateBody(advancedSimulationSchema), simulationRateLimiter, simulationQuota, async (req, res) => {
+  const value = req.body;
 
-    if (!result.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Simulation failed',
-        details: result.error || 'Unknown error'
-      });
-    }
+  const onBranch = resolveBranch(value.branch, res);
+  if (!onBranch) return;
 
-    // Calculate enhanced statistics
-    const emotionBreakdown = {};
-    const pricePerceptionBreakdown = {};
-    const trustDistribution = { low: 0, medium: 0, high: 0 };
+  const send = openEventStream(res);
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
 
-    // Map ID to Competitor for easy lookup
-    const competitorMap = new Map();
-    if (employees || competitors) { // Ensure we have scope
-      if (businessState.competitors) {
-        businessState.competitors.forEach(c => competitorMap.set(c.id, c));
-      }
+  try {
+    const { success, response, error: runError } = await runWithSignal(controller.signal, () => onBranch(() => runAdvancedSimulation(value, {
+      onPersonaResult: (personaResult) => send('persona', personaEvent(personaResult)),
+      onBatchComplete: (progress) => send('momentum', momentumEvent(progress))
+    })));
+
+    if (!success) {
+      send('error', { success: false, error: 'Simulation failed', details: runError });
+    } else {
+      send('complete', response);
     }
 
-    for (const personaResult of result.results) {
-      // Skip personas that failed
-      if (personaResult.error) continue;
-
-      // --- SPATIAL LOGIC ---
-      personaResult.position = calculatePosition(
-        personaResult.decision,
-        personaResult.targetId,
-        personaResult.emotion,
-        competitorMap
-      );
-
-      // Emotion breakdown
-      emotionBreakdown[personaResult.emotion] = (emotionBreakdown[personaResult.emotion] || 0) + 1;
-
-      // Price perception breakdown
-      pricePerceptionBreakdown[personaResult.pricePerception] = (pricePerceptionBreakdown[personaResult.pricePerception] || 0) + 1;
-
-      // Trust distribution
-      const trust = personaResult.context ? personaResult.context.trust : 50;
-      if (trust < 50) trustDistribution.low++;
-      else if (trust < 80) trustDistribution.medium++;
-      else trustDistribution.high++;
+  } catch (error) {
+    if (error instanceof CancelledError) {
+      log.info('Stream closed by client, simulation cancelled');
+      return;
     }
+    log.error('Stream error', { error: error.message, stack: error.stack });
+    send('error', { success: false, error: 'Internal server error', message: error.message });
+  }
 
-    // Get memory states for additional insights
-    const permanentlyGoneCount = Array.from({ length: 20 }, (_, i) => i + 1)
-      .map(id => getEnhancedMemoryState(id))
-      .filter(state => state.flags.isPermanentlyGone).length;
-
-    const onLastChanceCount = Array.from({ length: 20 }, (_, i) => i + 1)
-      .map(id => getEnhancedMemoryState(id))
-      .filter(state => state.flags.isOnLastChance).length;
-
-    const hasRoutineCount = Array.from({ length: 20 }, (_, i) => i + 1)
-      .map(id => getEnhancedMemoryState(id))
-      .filter(state => state.experienceTracking.hasRoutine).length;
-
-    // Market mood label
-    const marketMoodLabel = getMarketMoodLabel(result.momentum);
-
-    // Generate AI Summary & Insights
-    let aiInsight = "Detailed insights not available.";
-    try {
-      console.log(`[AdvancedAPI] Generating AI insights...`);
-      // We pass the full results to let Gemini analyze the reasonings
-      aiInsight = await generateInsight(result.results, result.summary, businessState);
-    } catch (err) {
-      console.error("[AdvancedAPI] Insight generation failed:", err);
-    }
+  res.end();
+});
+
+/**
+ * Request validation schema for Monte Carlo runs
+ */
+const monteCarloSchema = advancedSimulationSchema.keys({
+  replicates: Joi.number().integer().min(2).max(100).optional().default(DEFAULT_REPLICATES),
+  confidenceLevel: Joi.number().valid(0.8, 0.9, 0.95, 0.99).optional().default(0.95)
+});
+
+/**
+ * POST /api/simulate/advanced/monte-carlo
+ * Run N replicates of one scenario against forked memory and return uncertainty ranges
+ */
+router.post('/monte-carlo', validateBody(monteCarloSchema), ...chargeSimulations(req => req.body.replicates), async (req, res) => {
+  try {
+    const value = req.body;
+
+    const onBranch = resolveBranch(value.branch, res);
+    if (!onBranch) return;
 
-    // Build response
-    const response = {
+    const { turnNumber, seed, replicates, confidenceLevel } = value;
+    const { derivedPrice, derivedQuality, derivedEvent, businessState } = deriveSimulationInputs(value);
+
+    log.info('Starting Monte Carlo run', { replicates, price: derivedPrice, quality: derivedQuality });
+
+    const startTime = Date.now();
+    const monteCarlo = await onBranch(() => runMonteCarlo(
+      { price: derivedPrice, quality: derivedQuality, event: derivedEvent, turnNumber, businessState, financials: value.financials, socialGraph: value.socialGraph },
+      { replicates, seed, confidenceLevel }
+    ));
+    const duration = Date.now() - startTime;
+
+    res.status(200).json({
       success: true,
       turnNumber,
-      aiInsight, // High-level executive summary
       simulation: {
         price: derivedPrice,
         quality: derivedQuality,
         event: derivedEvent,
-        timestamp: result.metadata.timestamp,
-        duration: `${duration}ms`,
-        personasAnalyzed: result.summary.totalPersonas,
-        results: result.results
-      },
-      summary: {
-        ...result.summary,
-        emotionBreakdown,
-        pricePerceptionBreakdown,
-        trustDistribution
+        duration: `${duration}ms`
       },
-      momentum: {
-        ...result.momentum,
-        marketMood: marketMoodLabel
-      },
-      archetypeInsights: result.archetypeBreakdown,
-      brandHealth: {
-        permanentlyGone: permanentlyGoneCount,
-        onLastChance: onLastChanceCount,
-        hasRoutine: hasRoutineCount,
-        averageTrust: Object.values(trustDistribution).reduce((sum, count, idx) => {
-          const trustValue = idx === 0 ? 25 : idx === 1 ? 65 : 90;
-          return sum + (trustValue * count);
-        }, 0) / result.summary.totalPersonas
+      ...monteCarlo
+    });
+
+  } catch (error) {
+    log.error('Monte Carlo error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: 'Monte Carlo simulation failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Request validation schema for price sweeps
+ */
+const priceSweepSchema = advancedSimulationSchema.keys({
+  minPrice: Joi.number().positive().required(),
+  maxPrice: Joi.number().positive().greater(Joi.ref('minPrice')).required(),
+  steps: Joi.number().integer().min(2).max(25).optional().default(DEFAULT_SWEEP_STEPS)
+});
+
+/**
+ * POST /api/simulate/advanced/price-sweep
+ * Simulate a range of prices against a memory snapshot and return a demand curve
+ */
+router.post('/price-sweep', validateBody(priceSweepSchema), ...chargeSimulations(req => req.body.steps), async (req, res) => {
+  try {
+    const value = req.body;
+
+    const onBranch = resolveBranch(value.branch, res);
+    if (!onBranch) return;
+
+    const { turnNumber, seed, minPrice, maxPrice, steps } = value;
+    const { derivedQuality, derivedEvent, businessState } = deriveSimulationInputs(value);
+
+    log.info('Starting price sweep', { minPrice, maxPrice, steps });
+
+    const startTime = Date.now();
+    const sweep = await onBranch(() => runPriceSweep(
+      { quality: derivedQuality, event: derivedEvent, turnNumber, businessState, financials: value.financials, socialGraph: value.socialGraph },
+      { minPrice, maxPrice, steps, seed }
+    ));
+    const duration = Date.now() - startTime;
+
+    res.status(200).json({
+      success: true,
+      turnNumber,
+      simulation: {
+        quality: derivedQuality,
+        event: derivedEvent,
+        duration: `${duration}ms`
       },
-      metadata: {
-        batchSize: 10,
-        batchesProcessed: result.metadata.batchesProcessed,
-        aiProvider: result.metadata.aiProvider || 'openai',
-        systemVersion: 'Phase 4 - Advanced Archetype System'
-      }
-    };
+      ...sweep
+    });
 
-    console.log(`[AdvancedAPI] Completed in ${duration}ms: ${result.summary.buyCount} buy, ${result.summary.skipCount} skip, ${result.summary.switchCount} switch`);
-    console.log(`[AdvancedAPI] Market mood: ${marketMoodLabel}, Brand health: ${permanentlyGoneCount} permanently gone, ${onLastChanceCount} on last chance`);
+  } catch (error) {
+    log.error('Price sweep error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: 'Price sweep failed',
+      message: error.message
+    });
+  }
+});
 
-    res.status(200).json(response);
+/**
+ * Request validation schema for scenario comparisons
+ */
+const compareSchema = Joi.object({
+  scenarios: Joi.array().items(
+    advancedSimulationSchema.keys({
+      name: Joi.string().min(1).max(100).optional(),
+      branch: Joi.forbidden()
+    })
+  ).min(2).max(6).required(),
+  seed: Joi.alternatives(Joi.number().integer().min(0), Joi.string().max(100)).optional(),
+  branch: branchSchema
+});
+
+/**
+ * POST /api/simulate/advanced/compare
+ * Run two or more scenarios from the same memory snapshot and seed, and diff them
+ */
+router.post('/compare', validateBody(compareSchema), ...chargeSimulations(req => req.body.scenarios.length), async (req, res) => {
+  try {
+    const value = req.body;
+
+    const onBranch = resolveBranch(value.branch, res);
+    if (!onBranch) return;
+
+    const startTime = Date.now();
+    const comparison = await onBranch(() => runComparison(value.scenarios, { seed: value.seed }));
+    const duration = Date.now() - startTime;
+
+    res.status(200).json({
+      success: true,
+      duration: `${duration}ms`,
+      ...comparison
+    });
 
   } catch (error) {
-    console.error('[AdvancedAPI] Unexpected error:', error);
+    log.error('Comparison error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: 'Scenario comparison failed',
+      message: error.message
+    });
+  }
+});
 
+/**
+ * Request validation schema for scripted multi-turn scenarios
+ * Timeline entries take the same fields as a single run, minus turn number, seed and branch.
+ */
+const scenarioSchema = Joi.object({
+  timeline: Joi.array().items(
+    advancedSimulationSchema.fork(['turnNumber', 'seed', 'branch'], (field) => field.forbidden())
+  ).min(1).max(52).required(),
+  startTurn: Joi.number().integer().min(1).optional().default(1),
+  seed: Joi.alternatives(Joi.number().integer().min(0), Joi.string().max(100)).optional(),
+  sandbox: Joi.boolean().optional().default(false),
+  branch: branchSchema,
+  includeInsights: Joi.boolean().optional().default(false)
+});
+
+/**
+ * POST /api/simulate/advanced/scenario
+ * Run an ordered timeline of turns with memory carried over between them
+ */
+router.post('/scenario', validateBody(scenarioSchema), ...chargeSimulations(req => req.body.timeline.length), async (req, res) => {
+  try {
+    const value = req.body;
+
+    const { timeline, branch, ...options } = value;
+
+    const onBranch = resolveBranch(branch, res);
+    if (!onBranch) return;
+
+    const startTime = Date.now();
+    const scenario = await onBranch(() => runScenario(timeline, options));
+    const duration = Date.now() - startTime;
+
+    res.status(200).json({
+      success: true,
+      duration: `${duration}ms`,
+      ...scenario
+    });
+
+  } catch (error) {
+    log.error('Scenario error', { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
-      message: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      error: 'Scenario run failed',
+      message: error.message
     });
   }
 });
 
 /**
- * Helper function to get market mood label
+ * GET /api/simulate/advanced/jobs
+ * List simulation jobs
  */
-function getMarketMoodLabel(momentum) {
-  if (momentum.leaving >= 0.7) return 'Brand Crisis';
-  if (momentum.leaving >= 0.5) return 'Mass Exodus';
-  if (momentum.leaving >= 0.3) return 'Resentful';
-  if (momentum.staying >= 0.8) return 'Viral Hype';
-  if (momentum.staying >= 0.6) return 'FOMO Wave';
-  if (momentum.staying >= 0.55) return 'Optimistic';
-  if (momentum.leaving >= 0.55) return 'Skeptical';
-  return 'Balanced';
-}
+router.get('/jobs', (req, res) => {
+  res.status(200).json({ success: true, jobs: listJobs() });
+});
+
+/**
+ * GET /api/simulate/advanced/jobs/:jobId
+ * Job status, progress and partial results (full response once completed)
+ */
+router.get('/jobs/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.status(200).json({ success: true, ...job });
+});
 
 /**
- * Calculate spatial position on 100x100 canvas (x: -50 to 50, y: -50 to 50)
+ * GET /api/simulate/advanced/jobs/:jobId/stream
+ * Follow a job as Server-Sent Events, for browsers' EventSource (which can
+ * only GET): start a run with POST /?async=true, then open this stream.
+ * - status:    the job as it stands on connect (progress, partial results)
+ * - persona:   one persona resolved, as in POST /stream
+ * - momentum:  a wave finished
+ * - complete:  the full response once the job completed
+ * - error:     the job failed or was cancelled
+ * Closing the stream does not cancel the job; use DELETE /jobs/:jobId.
+ * EventSource cannot send an API key header: with AUTH_ENABLED, read the
+ * stream with fetch() and a ReadableStream reader instead.
  */
-function calculatePosition(decision, targetId, emotion, competitorMap) {
-  const getRandomOffset = (radius) => {
-    const r = Math.random() * radius;
-    const theta = Math.random() * 2 * Math.PI;
-    return {
-      x: r * Math.cos(theta),
-      y: r * Math.sin(theta)
-    };
+router.get('/jobs/:jobId/stream', (req, res) => {
+  let send;
+  const finish = (job) => {
+    if (job.status === 'completed') send('complete', job.result);
+    else send('error', { success: false, error: job.status === 'cancelled' ? 'Job cancelled' : 'Simulation failed', details: job.error });
+    res.end();
   };
 
-  // Case 1: BUY -> Go to Home (0,0) with tight cluster
-  if (decision === 'Buy') {
-    const offset = getRandomOffset(15); // Within 15px
-    return { x: offset.x, y: offset.y };
+  const subscription = subscribeToJob(req.params.jobId, (event, data) => {
+    if (event === 'persona') send('persona', personaEvent(data));
+    else if (event === 'momentum') send('momentum', momentumEvent(data));
+    else finish(data);
+  });
+
+  if (!subscription) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
   }
 
-  // Case 2: SWITCH -> Go to Competitor
-  if (decision === 'Switch' && targetId && competitorMap.has(targetId)) {
-    const comp = competitorMap.get(targetId);
-    const offset = getRandomOffset(15); // Within 15px of competitor
-    return {
-      x: comp.x + offset.x,
-      y: comp.y + offset.y
-    };
+  const { job, unsubscribe } = subscription;
+  send = openEventStream(res);
+  res.on('close', unsubscribe);
+
+  send('status', job);
+  if (job.finishedAt) finish(job);
+});
+
+/**
+ * DELETE /api/simulate/advanced/jobs/:jobId
+ * Cancel a queued or running job; no memory updates are committed for it
+ */
+router.delete('/jobs/:jobId', (req, res) => {
+  const { found, cancelled, reason, job } = cancelJob(req.params.jobId);
+
+  if (!found) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
   }
 
-  // Case 3: SKIP -> "Halfway" or "Middle of nowhere"
-  // Neutral/Satisfied but skipped -> Loitering nearby (20-35px)
-  // Angry/Frustrated -> Leaving far away (40-50px)
-  const isAngry = ['frustrated', 'angry', 'betrayed', 'annoyed'].includes(emotion?.toLowerCase());
-
-  if (isAngry) {
-    // Edge of canvas (40-50px radius)
-    const r = 40 + Math.random() * 10;
-    const theta = Math.random() * 2 * Math.PI;
-    return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
-  } else {
-    // "Halfway" / Loitering (20-35px radius)
-    const r = 20 + Math.random() * 15;
-    const theta = Math.random() * 2 * Math.PI;
-    return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
+  if (!cancelled) {
+    return res.status(409).json({ success: false, ...job, error: reason });
   }
-}
+
+  res.status(200).json({ success: true, ...job });
+});
+
+/**
+ * Query validation schema for run history filters
+ */
+const runFilterSchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  turn: Joi.number().integer().min(1).optional(),
+  provider: Joi.string().max(100).optional(),
+  branch: branchSchema,
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * GET /api/simulate/advanced/runs
+ * List stored runs, newest first. Filters: from, to (ISO dates), turn, provider, branch.
+ */
+router.get('/runs', (req, res) => {
+  const { error, value } = runFilterSchema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const { limit, offset, ...filters } = value;
+  const { total, runs } = listRuns(filters, { limit, offset });
+
+  res.status(200).json({ success: true, total, limit, offset, runs });
+});
+
+/**
+ * GET /api/simulate/advanced/runs/:runId
+ * Fetch a stored run with its inputs, per-persona results, summary and insight
+ */
+router.get('/runs/:runId', (req, res) => {
+  const run = getRun(req.params.runId);
+
+  if (!run) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+
+  res.status(200).json({ success: true, run });
+});
+
+/**
+ * DELETE /api/simulate/advanced/runs/:runId
+ * Delete a stored run
+ */
+router.delete('/runs/:runId', (req, res) => {
+  if (!deleteRun(req.params.runId)) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+
+  res.status(200).json({ success: true, runId: req.params.runId });
+});
+
+/**
+ * DELETE /api/simulate/advanced/runs
+ * Delete every stored run matching the filters (all runs when none are given)
+ */
+router.delete('/runs', (req, res) => {
+  const { error, value } = runFilterSchema.fork(['limit', 'offset'], f => f.forbidden()).validate(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  res.status(200).json({ success: true, deleted: deleteRuns(value) });
+});
+
+/**
+ * One side of a run diff: a stored run ID, or a saved response with optional inputs
+ */
+const diffSideSchema = Joi.object({
+  runId: Joi.string(),
+  label: Joi.string().max(100).optional(),
+  response: Joi.object({
+    turnNumber: Joi.number(),
+    simulation: Joi.object({
+      results: Joi.array().required()
+    }).unknown().required(),
+    summary: Joi.object().unknown().required(),
+    momentum: Joi.object().unknown().required(),
+    archetypeInsights: Joi.object().unknown().required(),
+    brandHealth: Joi.object().unknown().required()
+  }).unknown(),
+  inputs: Joi.object().unknown().optional()
+}).xor('runId', 'response');
+
+const diffSchema = Joi.object({
+  before: diffSideSchema.required(),
+  after: diffSideSchema.required()
+});
+
+/**
+ * POST /api/simulate/advanced/diff
+ * Differences between two runs: changed inputs, decision flips (with reasoning
+ * side by side), emotion and trust deltas, archetype and momentum changes
+ */
+router.post('/diff', (req, res) => {
+  const { error, value } = diffSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const sides = {};
+  for (const side of ['before', 'after']) {
+    const { runId, label, response, inputs } = value[side];
+
+    if (runId) {
+      const run = getRun(runId);
+      if (!run) {
+        return res.status(404).json({ success: false, error: `Run not found: ${runId}` });
+      }
+      sides[side] = { label: label || runId, response: run.response, inputs: run.inputs };
+    } else {
+      sides[side] = { label: label || side, response, inputs };
+    }
+  }
+
+  try {
+    res.status(200).json({ success: true, ...diffRuns(sides.before, sides.after) });
+  } catch (error) {
+    log.error('Diff error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Request validation schema for creating a memory snapshot
+ */
+const snapshotSchema = Joi.object({
+  name: Joi.string().pattern(SNAPSHOT_NAME_PATTERN).required(),
+  description: Joi.string().max(500).optional(),
+  overwrite: Joi.boolean().optional().default(false)
+});
+
+/**
+ * POST /api/simulate/advanced/snapshots
+ * Snapshot the full live memory state under a name
+ */
+router.post('/snapshots', (req, res) => {
+  const { error, value } = snapshotSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const { name, ...options } = value;
+  const { created, snapshot } = createSnapshot(name, options);
+
+  if (!created) {
+    return res.status(409).json({ success: false, error: `Snapshot already exists: ${name}`, snapshot });
+  }
+
+  res.status(201).json({ success: true, snapshot });
+});
+
+/**
+ * GET /api/simulate/advanced/snapshots
+ * List memory snapshots
+ */
+router.get('/snapshots', (req, res) => {
+  res.status(200).json({ success: true, snapshots: listSnapshots() });
+});
+
+/**
+ * POST /api/simulate/advanced/snapshots/:name/restore
+ * Replace live memory with a snapshot. Provider conversation threads are
+ * cleared so personas don't remember visits the snapshot predates.
+ */
+router.post('/snapshots/:name/restore', (req, res) => {
+  const snapshot = restoreSnapshot(req.params.name);
+
+  if (!snapshot) {
+    return res.status(404).json({ success: false, error: 'Snapshot not found' });
+  }
+
+  clearThreads();
+  clearChatHistories();
+
+  res.status(200).json({ success: true, snapshot });
+});
+
+/**
+ * DELETE /api/simulate/advanced/snapshots/:name
+ * Delete a snapshot
+ */
+router.delete('/snapshots/:name', (req, res) => {
+  if (!deleteSnapshot(req.params.name)) {
+    return res.status(404).json({ success: false, error: 'Snapshot not found' });
+  }
+
+  res.status(200).json({ success: true, name: req.params.name });
+});
 
 /**
  * GET /api/simulate/advanced/memory/:personaId
@@ -300,10 +776,12 @@ router.get('/memory/:personaId', (req, res) => {
   try {
     const personaId = parseInt(req.params.personaId);
 
-    if (isNaN(personaId) || personaId < 1 || personaId > 20) {
+    const personaIds = getWorkspacePersonas().map(p => p.id);
+
+    if (!personaIds.includes(personaId)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid persona ID. Must be between 1 and 20.'
+        error: `Invalid persona ID. Must be one of: ${personaIds.join(', ')}.`
       });
     }
 
@@ -316,7 +794,7 @@ router.get('/memory/:personaId', (req, res) => {
     });
 
   } catch (error) {
-    console.error('[AdvancedAPI] Error fetching memory:', error);
+    log.error('Error fetching memory', { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
       error: 'Failed to fetch memory state',
@@ -325,5 +803,13 @@ router.get('/memory/:personaId', (req, res) => {
   }
 });
 
+/**
+ * Anything else under the advanced prefix ends here instead of falling
+ * through to the /api/simulate router
+ */
+router.use((req, res) => {
+  res.status(404).json({ success: false, error: `Not found: ${req.method} ${req.originalUrl}` });
+});
+
 module.exports = router;
 
@@ -0,0 +1,337 @@
+/**
+ * API Keys - Workspace-scoped keys with daily quotas
+ *
+ * Keys are stored hashed (SHA-256) in data/api_keys.json; the plaintext is
+ * only returned once, when the key is issued. Usage is metered per UTC day:
+ * every simulated turn counts as one simulation and adds its estimated tokens.
+ * The key behind the current request is carried with AsyncLocalStorage so
+ * batchProcessor can meter usage without knowing about requests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { workspaceEvents } = require('./workspaces');
+const { createLogger } = require('./logger');
+
+const log = createLogger('apiKeys');
+
+const KEYS_FILE = path.join(config.storage.dataDir, 'api_keys.json');
+const KEY_PREFIX = 'sk_sim_';
+
+const keyScope = new AsyncLocalStorage(); // { keyId, reservation? }
+const reservations = new Map(); // keyId -> Set of quota held by running requests
+
+let keys = null;
+
+/**
+ * Load the key store from disk (once)
+ * @returns {Array<Object>} Key records
+ */
+function loadKeys() {
+  if (keys) return keys;
+
+  try {
+    keys = fs.existsSync(KEYS_FILE) ? JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8')) : [];
+  } catch (error) {
+    log.error('Error loading keys', { error: error.message });
+    keys = [];
+  }
+
+  return keys;
+}
+
+/**
+ * Write the key store to disk
+ */
+function saveKeys() {
+  try {
+    const dataDir = path.dirname(KEYS_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(KEYS_FILE, JSON.stringify(keys, null, 2));
+  } catch (error) {
+    log.error('Error saving keys', { error: error.message });
+  }
+}
+
+// Keys die with their workspace
+workspaceEvents.on('deleted', (workspaceId) => {
+  const now = new Date().toISOString();
+  for (const key of loadKeys()) {
+    if (key.workspaceId === workspaceId && !key.revokedAt) key.revokedAt = now;
+  }
+  saveKeys();
+});
+
+/**
+ * SHA-256 hex digest of a key
+ */
+function hashKey(plaintext) {
+  return crypto.createHash('sha256').update(plaintext).digest('hex');
+}
+
+/**
+ * Current UTC day, e.g. "2025-01-31"
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Today's usage of a key (resets when the day rolls over)
+ */
+function currentUsage(key) {
+  if (!key.usage || key.usage.date !== today()) {
+    key.usage = { date: today(), simulations: 0, estimatedTokens: 0 };
+  }
+  return key.usage;
+}
+
+/**
+ * Quota held by a key's running requests and not yet metered
+ */
+function reservedUsage(key) {
+  const reserved = { simulations: 0, estimatedTokens: 0 };
+  for (const reservation of reservations.get(key.id) || []) {
+    reserved.simulations += reservation.simulations;
+    reserved.estimatedTokens += reservation.estimatedTokens;
+  }
+  return reserved;
+}
+
+/**
+ * Public view of a key (never includes the hash)
+ */
+function serializeKey(key) {
+  return {
+    keyId: key.id,
+    name: key.name,
+    prefix: key.prefix,
+    workspaceId: key.workspaceId,
+    createdAt: key.createdAt,
+    revokedAt: key.revokedAt,
+    quotas: key.quotas,
+    usage: currentUsage(key),
+    reserved: reservedUsage(key)
+  };
+}
+
+/**
+ * Issue a new key
+ * @param {Object} options
+ * @param {string} options.workspaceId - Workspace the key is limited to
+ * @param {string} [options.name] - Label shown in listings
+ * @param {Object} [options.quotas] - { simulationsPerDay, estimatedTokensPerDay }
+ * @returns {Object} { key, apiKey } - apiKey is the plaintext, shown only once
+ */
+function issueKey({ workspaceId, name = '', quotas = {} }) {
+  const plaintext = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const key = {
+    id: crypto.randomUUID(),
+    name,
+    prefix: plaintext.slice(0, KEY_PREFIX.length + 6),
+    hash: hashKey(plaintext),
+    workspaceId,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    quotas: { ...config.auth.defaultQuotas, ...quotas },
+    usage: null
+  };
+
+  loadKeys().push(key);
+  saveKeys();
+
+  log.info('Issued key', { keyId: key.id, prefix: key.prefix, workspaceId });
+  return { key: serializeKey(key), apiKey: plaintext };
+}
+
+/**
+ * Revoke a key
+ * @param {string} keyId
+ * @returns {Object|null} Revoked key, or null if it doesn't exist
+ */
+function revokeKey(keyId) {
+  const key = loadKeys().find(k => k.id === keyId);
+  if (!key) return null;
+
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    saveKeys();
+    log.info('Revoked key', { keyId: key.id, prefix: key.prefix });
+  }
+
+  return serializeKey(key);
+}
+
+/**
+ * List keys, optionally for one workspace
+ * @param {string} [workspaceId]
+ * @returns {Array<Object>}
+ */
+function listKeys(workspaceId) {
+  return loadKeys()
+    .filter(k => !workspaceId || k.workspaceId === workspaceId)
+    .map(serializeKey);
+}
+
+/**
+ * Find the active key matching a plaintext key
+ * @param {string} plaintext
+ * @returns {Object|null} Key record, or null if unknown or revoked
+ */
+function authenticateKey(plaintext) {
+  if (!plaintext || !plaintext.startsWith(KEY_PREFIX)) return null;
+
+  const hash = Buffer.from(hashKey(plaintext), 'hex');
+  const key = loadKeys().find(k => crypto.timingSafeEqual(Buffer.from(k.hash, 'hex'), hash));
+
+  return key && !key.revokedAt ? key : null;
+}
+
+/**
+ * Whether a plaintext key is the configured admin key
+ * @param {string} plaintext
+ * @returns {boolean}
+ */
+function isAdminKey(plaintext) {
+  if (!plaintext || !config.auth.adminKey) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(hashKey(plaintext), 'hex'),
+    Buffer.from(hashKey(config.auth.adminKey), 'hex')
+  );
+}
+
+/**
+ * Check a key's quotas before starting a request
+ * The request is rejected when what it is expected to use, on top of today's
+ * usage and the quota held by the key's running requests (see reserveQuota),
+ * would take the key past either daily quota.
+ * @param {Object} key - Key record
+ * @param {Object} [requested] - Expected use of the request
+ * @param {number} [requested.simulations=1] - Simulated turns
+ * @param {number} [requested.estimatedTokens=0] - Estimated tokens
+ * @returns {Object} { allowed, quota, usage, reserved, limits, requested, resetAt }
+ */
+function checkQuota(key, requested = {}) {
+  const { simulations = 1, estimatedTokens = 0 } = requested;
+  const usage = currentUsage(key);
+  const reserved = reservedUsage(key);
+  const resetAt = new Date(`${usage.date}T00:00:00.000Z`);
+  resetAt.setUTCDate(resetAt.getUTCDate() + 1);
+
+  let quota = null;
+  if (usage.simulations + reserved.simulations + simulations > key.quotas.simulationsPerDay) {
+    quota = 'simulationsPerDay';
+  } else if (usage.estimatedTokens + reserved.estimatedTokens + Math.max(1, estimatedTokens) > key.quotas.estimatedTokensPerDay) {
+    quota = 'estimatedTokensPerDay';
+  }
+
+  return {
+    allowed: quota === null,
+    quota,
+    usage,
+    reserved,
+    limits: key.quotas,
+    requested: { simulations, estimatedTokens },
+    resetAt: resetAt.toISOString()
+  };
+}
+
+/**
+ * Hold a request's expected use against a key's quotas while it runs
+ * Concurrent requests on one key see each other's holds in checkQuota.
+ * Turns metered while the request runs come out of the hold; whatever is
+ * left once every holder released it (see holdReservation) is refunded,
+ * e.g. the turns of a cancelled or failed request.
+ * @param {Object} key - Key record
+ * @param {Object} requested - { simulations, estimatedTokens } as passed to checkQuota
+ * @returns {Object} Reservation
+ */
+function reserveQuota(key, { simulations = 1, estimatedTokens = 0 }) {
+  const reservation = { keyId: key.id, simulations, estimatedTokens, holders: 0 };
+  if (!reservations.has(key.id)) reservations.set(key.id, new Set());
+  reservations.get(key.id).add(reservation);
+  return reservation;
+}
+
+/**
+ * Keep the current request's reservation alive, e.g. for a job that
+ * outlives the response
+ * No-op outside of a reservation.
+ * @returns {Function} release() - Frees the reservation after its last holder releases it
+ */
+function holdReservation() {
+  const reservation = keyScope.getStore()?.reservation;
+  if (!reservation) return () => {};
+
+  reservation.holders++;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    if (--reservation.holders === 0) {
+      reservations.get(reservation.keyId).delete(reservation);
+    }
+  };
+}
+
+/**
+ * Run the rest of a request on behalf of a key
+ * @param {Object} key - Key record
+ * @param {Function} fn
+ */
+function runWithKey(key, fn) {
+  return keyScope.run({ keyId: key.id }, fn);
+}
+
+/**
+ * Run the rest of a request against a reservation of its key
+ * @param {Object} reservation - From reserveQuota
+ * @param {Function} fn
+ */
+function runWithReservation(reservation, fn) {
+  return keyScope.run({ keyId: reservation.keyId, reservation }, fn);
+}
+
+/**
+ * Charge one simulated turn to the key behind the current request
+ * No-op outside of a key scope (auth disabled or admin key).
+ * @param {number} estimatedTokens - Estimated tokens the turn used
+ */
+function meterSimulation(estimatedTokens) {
+  const scope = keyScope.getStore();
+  if (!scope) return;
+
+  const key = loadKeys().find(k => k.id === scope.keyId);
+  if (!key) return;
+
+  const usage = currentUsage(key);
+  usage.simulations++;
+  usage.estimatedTokens += estimatedTokens;
+  saveKeys();
+
+  // The turn is now in usage; stop holding it
+  const { reservation } = scope;
+  if (reservation) {
+    reservation.simulations = Math.max(0, reservation.simulations - 1);
+    reservation.estimatedTokens = Math.max(0, reservation.estimatedTokens - estimatedTokens);
+  }
+}
+
+module.exports = {
+  issueKey,
+  revokeKey,
+  listKeys,
+  authenticateKey,
+  isAdminKey,
+  checkQuota,
+  reserveQuota,
+  holdReservation,
+  runWithKey,
+  runWithReservation,
+  meterSimulation
+};
@@ -0,0 +1,119 @@
+/**
+ * Basket - Per-item purchase decisions against the submitted menu
+ *
+ * When a request carries a menu (`productChanges`), personas pick the items
+ * they buy, with quantities, and name the items that drove a Skip or Switch.
+ * Model output is checked against the menu here so that every provider's
+ * baskets are priced the same way, and the run reports demand per item.
+ */
+
+const MAX_QUANTITY = 5; // Per item, per persona visit
+
+const round = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Find the menu item a model referred to (case- and whitespace-insensitive)
+ * @param {string} name - Item name from the model
+ * @param {Object} menu - item -> price
+ * @returns {string|null} Menu item name
+ */
+function matchMenuItem(name, menu) {
+  if (typeof name !== 'string') return null;
+  const wanted = name.trim().toLowerCase();
+  return Object.keys(menu).find(item => item.trim().toLowerCase() === wanted) || null;
+}
+
+/**
+ * Validate a decision's basket and driving items against the menu
+ * Unknown items are dropped and quantities are clamped to 1-5. Lines for the
+ * same item are merged. Baskets only apply to Buy decisions.
+ * @param {Object} decision - Persona result with optional basket and drivingItems
+ * @param {Object} menu - item -> price
+ * @returns {Object} { basket, basketTotal, drivingItems }
+ */
+function normalizeBasket(decision, menu) {
+  const lines = new Map();
+
+  if (decision.decision === 'Buy' && Array.isArray(decision.basket)) {
+    for (const line of decision.basket) {
+      const item = matchMenuItem(line && line.item, menu);
+      if (!item) continue;
+
+      const quantity = Math.min(MAX_QUANTITY, Math.max(1, Math.round(Number(line.quantity) || 1)));
+      const existing = lines.get(item);
+      if (existing) {
+        existing.quantity = Math.min(MAX_QUANTITY, existing.quantity + quantity);
+      } else {
+        lines.set(item, { item, quantity, reason: typeof line.reason === 'string' ? line.reason : undefined });
+      }
+    }
+  }
+
+  const basket = [...lines.values()].map(line => ({
+    ...line,
+    unitPrice: menu[line.item],
+    lineTotal: round(menu[line.item] * line.quantity)
+  }));
+
+  const drivingItems = Array.isArray(decision.drivingItems)
+    ? [...new Set(decision.drivingItems.map(name => matchMenuItem(name, menu)).filter(Boolean))]
+    : [];
+
+  return {
+    basket,
+    basketTotal: round(basket.reduce((sum, line) => sum + line.lineTotal, 0)),
+    drivingItems
+  };
+}
+
+/**
+ * Demand per menu item across a run
+ * Units and revenue count one visit per persona; driver counts record how
+ * many Skip/Switch decisions named the item.
+ * @param {Array<Object>} results - Persona results with normalized baskets
+ * @param {Object} menu - item -> price
+ * @returns {Object} { items, switchDrivers, buyersWithoutBasket }
+ */
+function summarizeItems(results, menu) {
+  const items = {};
+  for (const [item, price] of Object.entries(menu)) {
+    items[item] = { price, units: 0, revenue: 0, buyers: 0, skipDriver: 0, switchDriver: 0 };
+  }
+
+  const switchedOver = new Map(); // item -> persona names
+  let buyersWithoutBasket = 0;
+
+  for (const result of results) {
+    if (result.error) continue;
+
+    if (result.decision === 'Buy') {
+      if (!result.basket || result.basket.length === 0) buyersWithoutBasket++;
+      for (const line of result.basket || []) {
+        items[line.item].units += line.quantity;
+        items[line.item].revenue = round(items[line.item].revenue + line.lineTotal);
+        items[line.item].buyers++;
+      }
+    }
+
+    for (const item of result.drivingItems || []) {
+      if (result.decision === 'Skip') items[item].skipDriver++;
+      if (result.decision === 'Switch') {
+        items[item].switchDriver++;
+        switchedOver.set(item, [...(switchedOver.get(item) || []), result.personaName]);
+      }
+    }
+  }
+
+  const switchDrivers = [...switchedOver]
+    .map(([item, personas]) => ({ item, count: personas.length, personas }))
+    .sort((a, b) => b.count - a.count);
+
+  return { items, switchDrivers, buyersWithoutBasket };
+}
+
+module.exports = {
+  MAX_QUANTITY,
+  matchMenuItem,
+  normalizeBasket,
+  summarizeItems
+};
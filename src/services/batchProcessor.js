@@ -1,19 +1,67 @@
 /**
  * Batch Processor - Process Personas in Waves with Market Momentum
  *
- * Processes personas in batches of 10-15, calculating market momentum
- * after each batch and applying social pressure to subsequent batches.
+ * Processes personas in waves sized by the rate-limit scheduler, calculating
+ * market momentum after each wave and applying social pressure to the next.
  *
  * Now supports multiple AI providers (Gemini, OpenAI) via provider abstraction.
  */
 
+const crypto = require('crypto');
 const config = require('../config');
 const { getProvider } = require('./providerFactory');
-const { OPENAI_PERSONAS } = require('./oPersonas');
+const { getWorkspacePersonas } = require('./workspaces');
 const { generateCompleteContext, calculateEffectivePriceSensitivity } = require('./contextGenerator');
 const { getEnhancedMemoryState, recordVisit, updateTrustWithEmotion } = require('./enhancedMemory');
+const { createRng, hashSeed, generateSeed, shuffle } = require('./rng');
+const { throwIfCancelled, CancelledError } = require('./cancellation');
+const { meterSimulation } = require('./apiKeys');
+const { normalizeBasket } = require('./basket');
+const { buildQueueModel, summarizeQueue } = require('./queueModel');
+const { gravityShares, drawSwitch } = require('./geography');
+const { buildSocialGraph, hearFromConnections, applyWordOfMouth, attributeInfluence, summarizeInfluence } = require('./socialGraph');
+const { simulationDuration, estimatedTokens: tokenCounter } = require('./metrics');
+const { createLogger, runWithLogContext } = require('./logger');
+
+const log = createLogger('batchProcessor');
 
-const BATCH_SIZE = 3; // Process 3 personas at a time to avoid rate limits
+/**
+ * Decide where a persona who isn't buying goes, by the gravity model
+ * The model decides whether to buy from us; whether a non-buyer switches,
+ * and to which competitor, follows distance, price and quality. The
+ * model's own choice is kept on the result when it is overruled.
+ * @param {Object} result - Persona result (modified in place)
+ * @param {Object} travel - Trips for this visit (from geography.planTrip)
+ * @param {number} price - Our price
+ * @param {number} quality - Our quality
+ * @param {Array<Object>} competitors - Competitor agents
+ * @param {Function} random - Random source for the draw
+ */
+function settleSwitch(result, travel, price, quality, competitors, random) {
+  const gravity = competitors.length > 0 ? gravityShares(travel, { price, quality }, competitors) : null;
+
+  result.travel = {
+    origin: travel.origin.place,
+    distanceKm: travel.shop.distanceKm,
+    travelCost: travel.shop.travelCost,
+    switchLikelihood: gravity ? gravity.switchLikelihood : 0
+  };
+
+  if (!gravity || result.decision === 'Buy') return;
+
+  const targetId = drawSwitch(gravity, random);
+  const decision = targetId !== null ? 'Switch' : 'Skip';
+
+  if (decision !== result.decision || targetId !== (result.targetId ?? null)) {
+    result.modelChoice = { decision: result.decision, targetId: result.targetId };
+  }
+  result.decision = decision;
+  if (targetId !== null) {
+    result.targetId = targetId;
+  } else {
+    delete result.targetId;
+  }
+}
 
 /**
  * Calculate market momentum from processed results
@@ -57,43 +105,118 @@ function applySocialPressure(persona, baseSensitivity, momentum) {
   return baseSensitivity;
 }
 
+/**
+ * Average estimated token cost of the personas processed so far
+ * Falls back to the configured default before the first wave.
+ */
+function averageEstimatedTokens(results) {
+  const estimates = results.map(r => r.estimatedTokens).filter(Boolean);
+  if (estimates.length === 0) return config.scheduler.defaultPersonaTokens;
+  return Math.round(estimates.reduce((a, b) => a + b, 0) / estimates.length);
+}
 
 /**
  * Process all personas in batches
+ * Every log line written during the run carries its simulationId.
+ * @param {number} price - Current price
+ * @param {number} quality - Current quality (1-10)
+ * @param {string} event - Current event description
+ * @param {number} turnNumber - Current turn number
+ * @param {Object} businessState - Rich business context
+ * @param {Object} options
+ * @param {number|string} [options.seed] - Seed for context draws and shuffling (random if omitted)
+ * @param {Function} [options.onPersonaResult] - Called with each persona's result as soon as it resolves
+ * @param {Function} [options.onBatchComplete] - Called with { batchNumber, results, completed, total, momentum } after each wave
+ * @param {number} [options.customersPerPersona] - Real visits each persona stands for, for the queue model
+ * @param {Array<Object>} [options.socialGraph] - Word-of-mouth edges (the built-in graph if omitted)
  */
-async function processBatchedSimulation(price, quality, event, turnNumber = 1, businessState = {}) {
-  console.log(`[BatchProcessor] Starting batched simulation for turn ${turnNumber}`);
-  console.log(`[BatchProcessor] Price: $${price}, Quality: ${quality}/10, Event: "${event}"`);
+async function processBatchedSimulation(price, quality, event, turnNumber = 1, businessState = {}, options = {}) {
+  const simulationId = crypto.randomUUID();
+  const endTimer = simulationDuration.startTimer();
+
+  try {
+    const result = await runWithLogContext({ simulationId }, () =>
+      runBatches(simulationId, price, quality, event, turnNumber, businessState, options)
+    );
+    endTimer({ outcome: 'completed' });
+    return result;
+  } catch (error) {
+    endTimer({ outcome: error instanceof CancelledError ? 'cancelled' : 'failed' });
+    throw error;
+  }
+}
+
+async function runBatches(simulationId, price, quality, event, turnNumber, businessState, options) {
+  const seed = options.seed !== undefined ? options.seed : generateSeed();
 
   // Get AI provider (Gemini or OpenAI based on config)
   const provider = getProvider();
-  console.log(`[BatchProcessor] Using AI provider: ${provider.getName()}`);
+  log.info('Starting batched simulation', { turnNumber, seed, price, quality, event, provider: provider.getName() });
 
   // Determine what personas to use
   // We use the same 20 personas for both providers now for consistency
-  const personasToRun = OPENAI_PERSONAS;
+  const personasToRun = getWorkspacePersonas();
 
   const allResults = [];
   let currentMomentum = null;
 
-  // Shuffle to avoid clustering
-  const shuffledPersonas = [...personasToRun].sort(() => Math.random() - 0.5);
-
-  // Process in batches
-  const batchCount = Math.ceil(shuffledPersonas.length / BATCH_SIZE);
+  // Word of mouth: each persona hears from its connections in earlier batches or turns
+  const socialGraph = buildSocialGraph(options.socialGraph);
+  const personasById = new Map(personasToRun.map(persona => [persona.id, persona]));
+  const resultsThisTurn = new Map();
 
-  for (let batchIndex = 0; batchIndex < batchCount; batchIndex++) {
-    const batchStart = batchIndex * BATCH_SIZE;
-    const batchEnd = Math.min(batchStart + BATCH_SIZE, shuffledPersonas.length);
-    const batchPersonas = shuffledPersonas.slice(batchStart, batchEnd);
+  // With a menu, personas buy individual items instead of one averaged product
+  const menu = businessState.productChanges && Object.keys(businessState.productChanges).length > 0
+    ? businessState.productChanges
+    : null;
 
-    console.log(`[BatchProcessor] Processing batch ${batchIndex + 1}/${batchCount} (${batchPersonas.length} personas)`);
+  // Shuffle to avoid clustering
+  const shuffledPersonas = shuffle(personasToRun, createRng(hashSeed(seed, 'shuffle', turnNumber)));
+
+  // Contexts are drawn up front: the queue model needs every persona's arrival daypart.
+  // Each persona draws from its own stream so batch timing can't change its context.
+  const contexts = new Map(shuffledPersonas.map(persona => {
+    const context = generateCompleteContext(
+      persona,
+      getEnhancedMemoryState(persona.id),
+      turnNumber,
+      event,
+      createRng(hashSeed(seed, 'context', persona.id, turnNumber)),
+      businessState.competitors
+    );
+    context.metadata.seed = seed; // Seeded providers draw from the run's seed too
+    return [persona.id, context];
+  }));
+
+  const queue = buildQueueModel(
+    businessState.employees,
+    shuffledPersonas.map(persona => ({ persona, context: contexts.get(persona.id) })),
+    { customersPerPersona: options.customersPerPersona }
+  );
+
+  // Process in waves sized by the provider's rate-limit scheduler.
+  // Momentum is recomputed after every wave and fed to the next one.
+  const batchSizes = [];
+  let nextIndex = 0;
+
+  while (nextIndex < shuffledPersonas.length) {
+    throwIfCancelled();
+
+    const costPerPersona = averageEstimatedTokens(allResults);
+    const batchSize = provider.recommendBatchSize(costPerPersona);
+    const batchPersonas = shuffledPersonas.slice(nextIndex, nextIndex + batchSize);
+    nextIndex += batchPersonas.length;
+    batchSizes.push(batchPersonas.length);
+
+    const batchNumber = batchSizes.length;
+    log.debug('Processing batch', { batchNumber, personas: batchPersonas.length, tokensPerPersona: costPerPersona });
 
     // Process batch in parallel
     const batchPromises = batchPersonas.map(async (persona) => {
       // Generate dynamic context for this persona
       const memoryState = getEnhancedMemoryState(persona.id);
-      const context = generateCompleteContext(persona, memoryState, turnNumber, event);
+      const context = contexts.get(persona.id);
+      if (queue) context.service = queue.waitFor(persona.id);
 
       // Calculate effective price sensitivity
       const baseSensitivity = calculateEffectivePriceSensitivity(persona, context, memoryState);
@@ -103,36 +226,95 @@ async function processBatchedSimulation(price, quality, event, turnNumber = 1, b
         ? applySocialPressure(persona, baseSensitivity, currentMomentum)
         : baseSensitivity;
 
-      context.effectivePriceSensitivity = adjustedSensitivity;
+      // Then from the persona's own connections
+      const friends = hearFromConnections(socialGraph, persona, personasById, resultsThisTurn);
+      context.social = friends;
+      context.effectivePriceSensitivity = applyWordOfMouth(persona, adjustedSensitivity, friends);
 
       // Add decision context (visit history, price perception, etc.) for OpenAI provider
       const { getDecisionContext } = require('./enhancedMemory');
       context.decisionContext = getDecisionContext(persona.id, price);
 
       // Process persona using provider abstraction with business state
-      return provider.simulatePersona(persona, context, price, quality, currentMomentum, turnNumber, event, businessState);
+      const result = await provider.simulatePersona(persona, context, price, quality, currentMomentum, turnNumber, event, businessState);
+      // Record which provider produced the decision (set by FallbackProvider when chained)
+      if (!result.provider) result.provider = provider.getName();
+      if (menu && !result.error) Object.assign(result, normalizeBasket(result, menu));
+      if (!result.error) settleSwitch(result, context.travel, price, quality, businessState.competitors || [], createRng(hashSeed(seed, 'switch', persona.id, turnNumber)));
+      if (!result.error) {
+        const influence = attributeInfluence(result, friends);
+        if (influence) result.influence = influence;
+      }
+      if (context.service && !result.error) {
+        result.wait = {
+          ...context.service,
+          balked: result.decision !== 'Buy' && context.service.waitMinutes > context.service.toleranceMinutes
+        };
+      }
+
+      log.debug('Persona decided', {
+        personaId: persona.id,
+        batchNumber,
+        decision: result.decision,
+        emotion: result.emotion,
+        provider: result.provider,
+        error: result.error,
+        reasoning: config.logging.personaReasoning ? result.reasoning : undefined
+      });
+
+      if (options.onPersonaResult) options.onPersonaResult(result);
+      return result;
     });
 
     // Wait for batch to complete
     const batchResults = await Promise.all(batchPromises);
+
     allResults.push(...batchResults);
+    for (const result of batchResults) resultsThisTurn.set(result.personaId, result);
 
     // Update market momentum for next batch
     currentMomentum = calculateMarketMomentum(allResults);
 
-    console.log(`[BatchProcessor] Batch ${batchIndex + 1} complete. Current momentum: ${(currentMomentum.leaving * 100).toFixed(0)}% leaving, ${(currentMomentum.staying * 100).toFixed(0)}% staying`);
+    log.debug('Batch complete', { batchNumber, leaving: currentMomentum.leaving, staying: currentMomentum.staying });
+
+    if (options.onBatchComplete) {
+      options.onBatchComplete({
+        batchNumber,
+        results: batchResults,
+        completed: allResults.length,
+        total: shuffledPersonas.length,
+        momentum: currentMomentum
+      });
+    }
   }
 
+  // Tokens are spent whether or not the run is kept
+  const estimatedTokens = allResults.reduce((sum, r) => sum + (r.estimatedTokens || 0), 0);
+  meterSimulation(estimatedTokens);
+  for (const result of allResults) {
+    if (result.estimatedTokens) tokenCounter.inc({ provider: result.provider }, result.estimatedTokens);
+  }
+
+  // Nothing is written to memory for a cancelled simulation
+  throwIfCancelled();
+
   // Record all visits and update memory
   for (const result of allResults) {
     if (!result.error) {
+      const competitor = result.decision === 'Switch'
+        ? (businessState.competitors || []).find(c => c.id === result.targetId)
+        : undefined;
+
       recordVisit(result.personaId, {
         turnNumber,
         decision: result.decision,
         price,
         quality,
         emotion: result.emotion,
-        reasoning: result.reasoning
+        reasoning: result.reasoning,
+        basket: result.basket,
+        competitorId: competitor ? competitor.id : undefined,
+        competitorPrice: competitor ? competitor.price : undefined
       });
 
       updateTrustWithEmotion(result.personaId, result.emotion, `${event} - ${result.decision}`, result.reasoning);
@@ -159,7 +341,14 @@ async function processBatchedSimulation(price, quality, event, turnNumber = 1, b
     if (result.decision === 'Switch') archetypeBreakdown[result.archetype].switch++;
   }
 
-  console.log(`[BatchProcessor] Simulation complete: ${buyCount} buy, ${skipCount} skip, ${switchCount} switch`);
+  // Provider attribution
+  const fallbackCount = allResults.filter(r => r.fallback).length;
+  const providerBreakdown = {};
+  for (const result of allResults) {
+    providerBreakdown[result.provider] = (providerBreakdown[result.provider] || 0) + 1;
+  }
+
+  log.info('Batched simulation complete', { buy: buyCount, skip: skipCount, switch: switchCount, fallbackCount, estimatedTokens });
 
   return {
     success: true,
@@ -172,16 +361,25 @@ async function processBatchedSimulation(price, quality, event, turnNumber = 1, b
       switchCount,
       buyRate: buyCount / allResults.length,
       skipRate: skipCount / allResults.length,
-      switchRate: switchCount / allResults.length
+      switchRate: switchCount / allResults.length,
+      errorCount: allResults.filter(r => r.error).length,
+      fallbackCount,
+      providerBreakdown
     },
     momentum: finalMomentum,
     archetypeBreakdown,
+    queue: queue ? summarizeQueue(queue, allResults) : null,
+    socialInfluence: summarizeInfluence(allResults),
     metadata: {
+      simulationId,
+      seed,
       price,
       quality,
       event,
       timestamp: new Date().toISOString(),
-      batchesProcessed: batchCount,
+      batchesProcessed: batchSizes.length,
+      batchSizes,
+      estimatedTokens,
       aiProvider: provider.getName() // Track which AI provider was used
     }
   };
@@ -190,6 +388,5 @@ async function processBatchedSimulation(price, quality, event, turnNumber = 1, b
 module.exports = {
   processBatchedSimulation,
   calculateMarketMomentum,
-  applySocialPressure,
-  BATCH_SIZE
+  applySocialPressure
 };
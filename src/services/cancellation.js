@@ -0,0 +1,56 @@
+/**
+ * Cancellation - Propagates an AbortSignal to everything a simulation runs
+ *
+ * Work started inside runWithSignal() can call getSignal() or
+ * throwIfCancelled() without the signal being passed through every provider
+ * call explicitly.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const signalScope = new AsyncLocalStorage();
+
+/**
+ * Thrown when a cancelled simulation reaches a cancellation point
+ */
+class CancelledError extends Error {
+  constructor(message = 'Simulation was cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Run a function with an AbortSignal available to everything it awaits
+ * @param {AbortSignal} signal - Signal that cancels the work
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+function runWithSignal(signal, fn) {
+  return signalScope.run(signal, fn);
+}
+
+/**
+ * Get the AbortSignal for the current simulation (undefined if none)
+ * @returns {AbortSignal|undefined}
+ */
+function getSignal() {
+  return signalScope.getStore();
+}
+
+/**
+ * Throw CancelledError if the current simulation has been cancelled
+ */
+function throwIfCancelled() {
+  const signal = signalScope.getStore();
+  if (signal && signal.aborted) {
+    throw new CancelledError();
+  }
+}
+
+module.exports = {
+  CancelledError,
+  runWithSignal,
+  getSignal,
+  throwIfCancelled
+};
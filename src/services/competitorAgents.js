@@ -0,0 +1,115 @@
+/**
+ * Competitor Agents - Nearby shops with their own price, quality and promotions
+ *
+ * Each competitor follows a pricing strategy toward our price:
+ * - match:    charge what we charge
+ * - undercut: charge a fixed share less than we do (never below its floor)
+ * - hold:     keep its own price whatever we do
+ * - premium:  charge a fixed share more than we do
+ *
+ * Competitors react with a one-turn lag: a price move we make in turn t is
+ * answered in turn t + 1, which is when a multi-turn run calls
+ * respondToPrice() between turns. Reactive promotions last one turn.
+ */
+
+const STRATEGIES = ['match', 'undercut', 'hold', 'premium'];
+const DEFAULT_UNDERCUT = 0.1; // Share below our price
+const DEFAULT_PREMIUM = 0.15; // Share above our price
+const PRICE_MOVE_THRESHOLD = 0.01; // Ignore price changes under a cent
+
+const cents = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Fill in agent state for competitors given as map points
+ * Competitors without a price start at ours; without a quality, at ours.
+ * @param {Array<Object>} competitors - [{ id, name, x, y, price?, quality?, promo?, strategy?, ... }]
+ * @param {Object} market - { price, quality } of our shop this turn
+ * @returns {Array<Object>} Competitor agents
+ */
+function initializeCompetitors(competitors = [], { price, quality }) {
+  return competitors.map(c => ({
+    ...c,
+    price: c.price !== undefined ? c.price : cents(price),
+    quality: c.quality !== undefined ? c.quality : quality,
+    promo: c.promo || null,
+    strategy: c.strategy || 'hold',
+    minPrice: c.minPrice !== undefined ? c.minPrice : cents((c.price !== undefined ? c.price : price) * 0.5)
+  }));
+}
+
+/**
+ * Price a strategy sets in response to our price
+ * @param {Object} competitor - Competitor agent
+ * @param {number} ourPrice
+ * @returns {number}
+ */
+function targetPrice(competitor, ourPrice) {
+  switch (competitor.strategy) {
+    case 'match':
+      return ourPrice;
+    case 'undercut':
+      return Math.max(competitor.minPrice, ourPrice * (1 - (competitor.undercutBy ?? DEFAULT_UNDERCUT)));
+    case 'premium':
+      return ourPrice * (1 + (competitor.premiumBy ?? DEFAULT_PREMIUM));
+    default:
+      return competitor.price;
+  }
+}
+
+/**
+ * Promotion a competitor runs after reacting to a price cut of ours
+ */
+function reactivePromo(competitor, ourPrice, newPrice) {
+  if (competitor.strategy === 'match') return `Price match: $${newPrice.toFixed(2)}, same as down the street`;
+  if (competitor.strategy === 'undercut' && newPrice < ourPrice) return `Now only $${newPrice.toFixed(2)}, cheaper than down the street`;
+  return null;
+}
+
+/**
+ * Promotion a competitor is running this turn
+ * A reactive promo takes precedence over the standing one for the turn after
+ * the price move it answers.
+ * @param {Object} competitor - Competitor agent
+ * @returns {string|null}
+ */
+function activePromo(competitor) {
+  return (competitor.reaction && competitor.reaction.promo) || competitor.promo || null;
+}
+
+/**
+ * Move every competitor for the next turn in response to our price move
+ * Competitors only react when our price actually changed.
+ * @param {Array<Object>} competitors - Competitor agents from the turn just run
+ * @param {number} ourPrice - Our price in the turn just run
+ * @param {number|null} previousPrice - Our price in the turn before it
+ * @returns {Array<Object>} Competitor agents for the next turn, each with its reaction (or null)
+ */
+function respondToPrice(competitors, ourPrice, previousPrice) {
+  const moved = previousPrice !== null && Math.abs(ourPrice - previousPrice) >= PRICE_MOVE_THRESHOLD;
+
+  return competitors.map(({ reaction, ...competitor }) => {
+    if (!moved || competitor.strategy === 'hold') {
+      return { ...competitor, reaction: null };
+    }
+
+    const newPrice = cents(targetPrice(competitor, ourPrice));
+
+    return {
+      ...competitor,
+      price: newPrice,
+      reaction: {
+        strategy: competitor.strategy,
+        ourPrice: { before: previousPrice, after: ourPrice },
+        price: { before: competitor.price, after: newPrice },
+        promo: ourPrice < previousPrice ? reactivePromo(competitor, ourPrice, newPrice) : null
+      }
+    };
+  });
+}
+
+module.exports = {
+  STRATEGIES,
+  initializeCompetitors,
+  respondToPrice,
+  activePromo
+};
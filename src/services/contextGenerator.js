@@ -5,6 +5,8 @@
  * Context includes financial, temporal, emotional, and situational factors.
  */
 
+const { planTrip } = require('./geography');
+
 const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 const MOODS = ['terrible', 'bad', 'neutral', 'good', 'great'];
 
@@ -12,11 +14,12 @@ const MOODS = ['terrible', 'bad', 'neutral', 'good', 'great'];
  * Generate financial context for a persona
  * @param {Object} persona - Persona instance
  * @param {number} turnNumber - Current simulation turn
+ * @param {Function} random - Random source (seeded PRNG or Math.random)
  * @returns {Object} Financial context
  */
-function generateFinancialContext(persona, turnNumber) {
+function generateFinancialContext(persona, turnNumber, random = Math.random) {
   const [minBudget, maxBudget] = persona.budgetRange;
-  const budgetRemaining = Math.random() * (maxBudget - minBudget) + minBudget;
+  const budgetRemaining = random() * (maxBudget - minBudget) + minBudget;
 
   // Payday logic (every 2 weeks for professionals, monthly for others)
   const isPayday = persona.archetype === 'Professional'
@@ -34,7 +37,7 @@ function generateFinancialContext(persona, turnNumber) {
     HealthConscious: 0.4
   };
 
-  const hadRecentExpense = Math.random() < (expenseProbability[persona.archetype] || 0.5);
+  const hadRecentExpense = random() < (expenseProbability[persona.archetype] || 0.5);
 
   return {
     budgetRemaining: parseFloat(budgetRemaining.toFixed(2)),
@@ -48,20 +51,21 @@ function generateFinancialContext(persona, turnNumber) {
  * Generate temporal context
  * @param {Object} persona - Persona instance
  * @param {number} turnNumber - Current simulation turn
+ * @param {Function} random - Random source (seeded PRNG or Math.random)
  * @returns {Object} Temporal context
  */
-function generateTemporalContext(persona, turnNumber) {
+function generateTemporalContext(persona, turnNumber, random = Math.random) {
   // Weighted day selection based on weekday preference
-  const isWeekday = Math.random() < persona.weekdayPreference;
+  const isWeekday = random() < persona.weekdayPreference;
   const dayIndex = isWeekday
-    ? Math.floor(Math.random() * 5) // Mon-Fri
-    : Math.floor(Math.random() * 2) + 5; // Sat-Sun
+    ? Math.floor(random() * 5) // Mon-Fri
+    : Math.floor(random() * 2) + 5; // Sat-Sun
 
   const dayOfWeek = DAYS[dayIndex];
 
   // Time of day weighted by preferred times
   const timeOptions = persona.preferredTimes;
-  const timeOfDay = timeOptions[Math.floor(Math.random() * timeOptions.length)];
+  const timeOfDay = timeOptions[Math.floor(random() * timeOptions.length)];
 
   // Rushing probability
   const rushingProbability = {
@@ -76,7 +80,7 @@ function generateTemporalContext(persona, turnNumber) {
 
   const baseRushProb = rushingProbability[dayOfWeek][timeOfDay] || 0.3;
   const personaRushModifier = persona.valuesSpeed ? 1.2 : 0.8;
-  const isRushing = Math.random() < (baseRushProb * personaRushModifier);
+  const isRushing = random() < (baseRushProb * personaRushModifier);
 
   return {
     dayOfWeek,
@@ -93,14 +97,15 @@ function generateTemporalContext(persona, turnNumber) {
  * @param {Object} persona - Persona instance
  * @param {Object} temporal - Temporal context
  * @param {Object} memoryState - Persona's memory state
+ * @param {Function} random - Random source (seeded PRNG or Math.random)
  * @returns {Object} Emotional context
  */
-function generateEmotionalContext(persona, temporal, memoryState) {
+function generateEmotionalContext(persona, temporal, memoryState, random = Math.random) {
   // Base mood influenced by moodVariance
   let moodIndex = 2; // Start at neutral
 
   // Mood variance factor
-  const variance = Math.floor((Math.random() - 0.5) * persona.moodVariance * 4);
+  const variance = Math.floor((random() - 0.5) * persona.moodVariance * 4);
   moodIndex = Math.max(0, Math.min(4, moodIndex + variance));
 
   // Temporal modifiers
@@ -128,7 +133,7 @@ function generateEmotionalContext(persona, temporal, memoryState) {
     great: ['got great news', 'excited about plans', 'feeling energized', 'payday']
   };
 
-  const moodReason = moodReasons[currentMood][Math.floor(Math.random() * moodReasons[currentMood].length)];
+  const moodReason = moodReasons[currentMood][Math.floor(random() * moodReasons[currentMood].length)];
 
   return {
     currentMood,
@@ -142,9 +147,11 @@ function generateEmotionalContext(persona, temporal, memoryState) {
 /**
  * Generate situational modifiers
  * @param {Object} persona - Persona instance
+ * @param {Function} random - Random source (seeded PRNG or Math.random)
+ * @param {Object} [travel] - Trips for this visit (from geography.planTrip)
  * @returns {Object} Situational context
  */
-function generateSituationalContext(persona) {
+function generateSituationalContext(persona, random = Math.random, travel = null) {
   // With friends probability varies by archetype and social influence
   const withFriendsProbability = {
     Student: 0.4,
@@ -156,19 +163,20 @@ function generateSituationalContext(persona) {
     HealthConscious: 0.2
   };
 
-  const withFriends = Math.random() < (withFriendsProbability[persona.archetype] || 0.25);
+  const withFriends = random() < (withFriendsProbability[persona.archetype] || 0.25);
 
-  // Alternative awareness (some personas know about competitors)
-  const hasAlternative = Math.random() < (persona.riskTolerance * 0.7);
-  const distanceToCompetitor = hasAlternative ? Math.floor(Math.random() * 5) + 1 : null;
+  // Alternatives are the competitors on the map
+  const nearest = travel && travel.nearestCompetitor;
+  const hasAlternative = Boolean(nearest);
+  const distanceToCompetitor = nearest ? nearest.distanceKm : null;
 
   // Quality perception (varies by archetype)
-  const qualityExpectation = persona.valuesQuality ? Math.floor(Math.random() * 3) + 7 : Math.floor(Math.random() * 5) + 4;
+  const qualityExpectation = persona.valuesQuality ? Math.floor(random() * 3) + 7 : Math.floor(random() * 5) + 4;
 
   return {
     withFriends,
     hasAlternative,
-    distanceToCompetitor,
+    distanceToCompetitor, // km from where the visit starts
     qualityExpectation, // 1-10 scale
     isFirstVisit: false // Will be determined by memory system
   };
@@ -180,18 +188,20 @@ function generateSituationalContext(persona) {
  * @param {Object} memoryState - Persona's memory state
  * @param {number} turnNumber - Current simulation turn
  * @param {string} event - Current event
+ * @param {Function} random - Random source (seeded PRNG or Math.random)
+ * @param {Array<Object>} [competitors] - Competitor agents on the map
  * @returns {Object} Complete context
  */
-function generateCompleteContext(persona, memoryState, turnNumber = 1, event = '') {
-  const financial = generateFinancialContext(persona, turnNumber);
-  const temporal = generateTemporalContext(persona, turnNumber);
+function generateCompleteContext(persona, memoryState, turnNumber = 1, event = '', random = Math.random, competitors = []) {
+  const financial = generateFinancialContext(persona, turnNumber, random);
+  const temporal = generateTemporalContext(persona, turnNumber, random);
 
   // Event-based temporal overrides
   if (event && event.toLowerCase().includes('rush')) {
     temporal.isRushing = true;
   }
 
-  const emotional = generateEmotionalContext(persona, temporal, memoryState);
+  const emotional = generateEmotionalContext(persona, temporal, memoryState, random);
 
   // Event-based emotional overrides
   if (event && event.toLowerCase().includes('crisis')) {
@@ -200,7 +210,8 @@ function generateCompleteContext(persona, memoryState, turnNumber = 1, event = '
     emotional.isBadMood = true;
   }
 
-  const situational = generateSituationalContext(persona);
+  const travel = planTrip(persona, temporal, competitors);
+  const situational = generateSituationalContext(persona, random, travel);
 
   // Determine if first visit
   const isFirstVisit = memoryState.lifetimeStats.totalVisits === 0;
@@ -213,6 +224,7 @@ function generateCompleteContext(persona, memoryState, turnNumber = 1, event = '
       ...situational,
       isFirstVisit
     },
+    travel,
     metadata: {
       turnNumber,
       generatedAt: new Date().toISOString()
@@ -228,7 +240,7 @@ function generateCompleteContext(persona, memoryState, turnNumber = 1, event = '
  * @returns {number} Adjusted price sensitivity (0-1)
  */
 function calculateEffectivePriceSensitivity(persona, context, memoryState) {
-  let sensitivity = persona.basePriceSensitivity;
+  let sensitivity = persona.basePriceSensitivity ?? persona.priceSensitivity;
 
   // Financial modifiers
   if (context.financial.budgetTightness === 'tight') sensitivity += 0.1;
@@ -243,6 +255,13 @@ function calculateEffectivePriceSensitivity(persona, context, memoryState) {
   if (context.temporal.isRushing && persona.valuesSpeed) sensitivity -= 0.15; // Will pay to save time
   if (context.temporal.isFridayAfternoon) sensitivity -= 0.05; // "Treat yourself" mentality
 
+  // Travel modifiers: the trip adds to what the visit costs
+  if (context.travel) {
+    sensitivity += Math.min(0.15, context.travel.shop.travelCost * 0.1);
+    const nearest = context.travel.nearestCompetitor;
+    if (nearest && nearest.distanceKm < context.travel.shop.distanceKm) sensitivity += 0.05; // Passing a competitor to get here
+  }
+
   // Trust modifiers
   if (memoryState.trust_score < 60) sensitivity += 0.15;
   if (memoryState.trust_score < 30) sensitivity += 0.25;
@@ -0,0 +1,173 @@
+/**
+ * Context Message Builder - Layer 3 "Dynamic Situation Update"
+ *
+ * Shared by every provider so that all backends show a persona the same
+ * situation, regardless of how the model itself is called.
+ */
+
+const { getEnhancedMemoryState } = require('./enhancedMemory');
+const { activePromo } = require('./competitorAgents');
+
+// Extra response fields requested when the business submitted a menu
+const MENU_RESPONSE_FIELDS = `,
+  "basket": [{ "item": "exact menu item name", "quantity": number, "reason": "why this item" }] (ONLY if Buying),
+  "drivingItems": ["exact menu item name"] (the items whose price or appeal made you Skip or Switch)`;
+
+/**
+ * Build the dynamic context message for a persona
+ * @param {Object} persona - Persona instance
+ * @param {Object} context - Generated context (from contextGenerator)
+ * @param {number} price - Current price
+ * @param {number} quality - Current quality
+ * @param {Object|null} marketMomentum - Market momentum data
+ * @param {string} event - Current event description
+ * @param {Object} businessState - Rich business context
+ * @returns {string} Message text
+ */
+function buildContextMessage(persona, context, price, quality, marketMomentum, event, businessState = {}) {
+  const memoryState = getEnhancedMemoryState(persona.id);
+
+  // Build market momentum context
+  let momentumContext = '';
+  if (marketMomentum) {
+    momentumContext = `
+Market Momentum (what others are doing):
+- ${(marketMomentum.leaving * 100).toFixed(0)}% of people are leaving/switching
+- ${(marketMomentum.staying * 100).toFixed(0)}% of people are buying
+- Overall mood: ${marketMomentum.mood || 'neutral'}`;
+  }
+
+  // Build word-of-mouth context (the persona's own connections)
+  let friendsContext = '';
+  if (context.social && context.social.length > 0) {
+    const verbs = { Buy: 'bought here', Skip: 'skipped this place', Switch: 'switched to a competitor' };
+    friendsContext = `
+What your friends did:
+${context.social.map(s => `- ${s.personaName} ${verbs[s.decision] || s.decision} ${s.when === 'this turn' ? 'just now' : 'last time'} and felt ${s.emotion} (you listen to them ${s.weight >= 0.7 ? 'a lot' : s.weight >= 0.4 ? 'somewhat' : 'a little'})`).join('\n')}`;
+  }
+
+  // Build visit history context
+  let historyContext = '';
+  if (context.decisionContext.visitHistory.length > 0) {
+    const recentVisits = context.decisionContext.visitHistory.slice(-3);
+    historyContext = `
+Your Recent Visits:
+${recentVisits.map((v, i) => `  ${i + 1}. ${v.decision}${v.basket ? ` ${v.basket.map(l => `${l.quantity}x ${l.item}`).join(', ')}` : ''} - felt ${v.emotion} (price was $${v.price})`).join('\n')}`;
+  } else {
+    historyContext = '\nThis is your FIRST visit to this place.';
+  }
+
+  // Build warning context
+  let warningContext = '';
+  if (memoryState.flags.isPermanentlyGone) {
+    warningContext = '\n⚠️ YOU ARE DONE WITH THIS PLACE (3 bad experiences). You will NEVER return.';
+  } else if (memoryState.flags.isOnLastChance) {
+    warningContext = '\n⚠️ ONE MORE BAD EXPERIENCE and you are leaving FOREVER.';
+  }
+
+  // Build routine context
+  let routineContext = '';
+  if (memoryState.experienceTracking.hasRoutine) {
+    routineContext = '\n✓ You have a routine here (5+ consecutive good visits).';
+  }
+
+  // --- BUSINESS & MARKET DATA ---
+  let staffingContext = '';
+  if (businessState.employees && businessState.employees.length > 0) {
+    const totalHours = businessState.employees.reduce((sum, e) => sum + e.hours, 0);
+    const staffNames = businessState.employees.map(e => e.name).join(', ');
+    // The queue model gives this persona's own wait; fall back to a rough label
+    const service = context.service;
+    staffingContext = service
+      ? `
+Staffing Level:
+- Staff on shift: ${staffNames}
+- You are arriving in the ${service.daypart}. Expected wait in line: ${service.waitMinutes < 1 ? 'under a minute' : `about ${Math.round(service.waitMinutes)} minutes`}${persona.valuesSpeed ? `
+- You value speed: waiting more than ${Math.round(service.toleranceMinutes)} minutes is a dealbreaker for you.` : ''}`
+      : `
+Staffing Level:
+- Staff on shift: ${staffNames}
+- Service Capacity: ${totalHours} hrs (Speed: ${totalHours > 80 ? 'Very Fast' : totalHours >= 40 ? 'Standard' : 'Slow/Understaffed'})`;
+  }
+
+  const hasMenu = businessState.productChanges && Object.keys(businessState.productChanges).length > 0;
+
+  // With a menu, personas price their own basket rather than one average price
+  const priceContext = hasMenu
+    ? `- Menu prices:\n${Object.entries(businessState.productChanges).map(([item, p]) => `  - ${item}: $${p.toFixed(2)}`).join('\n')}`
+    : `- Price: $${price.toFixed(2)}`;
+
+  let marketingContext = '';
+  if (businessState.marketingTactics && businessState.marketingTactics.length > 0) {
+    marketingContext = `
+Active Promotions:
+- ${businessState.marketingTactics.join('\n- ')}`;
+  }
+
+  const travel = context.travel;
+  const travelContext = travel
+    ? `\n- Getting here: ${travel.shop.distanceKm} km from your ${travel.origin.place} (~$${travel.shop.travelCost.toFixed(2)} in travel)`
+    : '';
+
+  let competitorContext = '';
+  if (businessState.competitors && businessState.competitors.length > 0) {
+    competitorContext = `
+Nearby Competitors:
+${businessState.competitors.map(c => {
+    const promo = activePromo(c);
+    const route = travel && travel.competitors.find(t => t.id === c.id);
+    return `- ID ${c.id}: ${c.name} (Location: ${c.x}, ${c.y}) - $${c.price.toFixed(2)}, quality ${c.quality}/10${route ? `, ${route.distanceKm} km away (~$${route.travelCost.toFixed(2)} to get there)` : ''}${promo ? `, promo: "${promo}"` : ''}`;
+  }).join('\n')}`;
+
+    const knowledge = memoryState.competitorKnowledge;
+    const lastCompetitor = businessState.competitors.find(c => c.id === knowledge.competitorId);
+    if (knowledge.competitorPrice !== null && lastCompetitor) {
+      competitorContext += `
+- Last time you switched you paid $${knowledge.competitorPrice.toFixed(2)} at ${lastCompetitor.name}.`;
+    }
+  }
+
+  // Full message (Layer 3: Dynamic Context)
+  return `### DYNAMIC SITUATION UPDATE
+Current Context:
+${priceContext}
+- Your budget remaining: $${context.financial.budgetRemaining.toFixed(2)}
+- Your current mood: ${context.emotional.currentMood}
+- Time pressure: ${context.temporal.isRushing ? 'RUSHING' : 'relaxed'}${travelContext}
+- Current Event: ${event || 'Normal business hours'}
+
+Business Updates:
+${staffingContext || '- Standard staffing levels.'}
+${marketingContext || '- No active promotions.'}
+
+Market Momentum (Social Signal):
+${momentumContext || '- No clear trend yet.'}
+${friendsContext}
+
+${competitorContext || '- No known competitors nearby.'}
+
+History & Memory:
+- Trust in this brand: ${memoryState.trust_score}/100
+${historyContext}${warningContext}${routineContext}
+
+Behavioral Constraints (Internal Stats):
+- Price sensitivity: ${(persona.priceSensitivity * 100).toFixed(0)}%
+- Brand loyalty: ${(persona.brandLoyalty * 100).toFixed(0)}%
+- Social influence: ${(persona.socialInfluenceWeight * 100).toFixed(0)}%
+- Quality focus: ${(persona.qualityThreshold * 100).toFixed(0)}%
+- Effective price sensitivity (this turn): ${(context.effectivePriceSensitivity * 100).toFixed(0)}%
+${context.decisionContext.pricePerception ? `- Price feels: ${context.decisionContext.pricePerception.perception}` : ''}
+
+Decide: Buy, Skip, or Switch.
+CRITICAL: If you choose "Switch", you MUST select a specific competitor from the list above, weighing how far each one is.${hasMenu ? `
+If you Buy, pick the menu items you actually want and how many of each, within your budget. Tie your reasoning to specific items.` : ''} Return your response as JSON:
+{
+  "decision": "Buy" | "Skip" | "Switch",
+  "reasoning": "your reasoning here",
+  "emotion": "one word emotion",
+  "pricePerception": "cheap" | "fair" | "expensive",
+  "targetId": number (ONLY if Switching, the ID of the competitor you are going to)${hasMenu ? MENU_RESPONSE_FIELDS : ''}
+}`;
+}
+
+module.exports = { buildContextMessage };
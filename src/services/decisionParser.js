@@ -0,0 +1,48 @@
+/**
+ * Decision Parser - Turns raw model output into a decision object
+ */
+
+/**
+ * Decision returned when a model response cannot be parsed
+ */
+const FALLBACK_DECISION = {
+  decision: 'Skip',
+  reasoning: 'Unable to parse agent response',
+  emotion: 'neutral',
+  pricePerception: 'unknown'
+};
+
+/**
+ * Parse a JSON decision from model output
+ * Accepts bare JSON or JSON wrapped in a markdown code block.
+ * @param {string} responseText - Raw model output
+ * @returns {Object} Parsed decision
+ * @throws {SyntaxError} If no valid JSON can be extracted
+ */
+function parseDecisionResponse(responseText) {
+  let jsonText = responseText;
+  const jsonMatch = responseText.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
+  if (jsonMatch) {
+    jsonText = jsonMatch[1];
+  }
+
+  return JSON.parse(jsonText);
+}
+
+/**
+ * Normalize a parsed decision so downstream stats always see a valid value
+ * @param {Object} decision - Parsed decision
+ * @returns {Object} Decision with a guaranteed Buy/Skip/Switch value
+ */
+function normalizeDecision(decision) {
+  if (!decision.decision || !['Buy', 'Skip', 'Switch'].includes(decision.decision)) {
+    decision.decision = 'Skip';
+  }
+  return decision;
+}
+
+module.exports = {
+  FALLBACK_DECISION,
+  parseDecisionResponse,
+  normalizeDecision
+};
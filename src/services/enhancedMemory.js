@@ -11,8 +11,14 @@
 
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { getWorkspaceId, getWorkspaceDataDir, getWorkspacePersonas, workspaceEvents } = require('./workspaces');
+const { createLogger } = require('./logger');
 
-const ENHANCED_MEMORY_FILE = path.join(__dirname, '../data/enhanced_persona_memory.json');
+const log = createLogger('enhancedMemory');
+
+const ENHANCED_MEMORY_FILENAME = 'enhanced_persona_memory.json';
 const MAX_VISIT_HISTORY = 10;
 
 /**
@@ -37,6 +43,7 @@ const DEFAULT_ENHANCED_STATE = {
   competitorKnowledge: {
     discoveredCompetitor: false,
     competitorPrice: null,
+    competitorId: null,
     lastSwitchTurn: null
   },
   lifetimeStats: {
@@ -56,52 +63,133 @@ const DEFAULT_ENHANCED_STATE = {
 };
 
 /**
- * In-memory cache
+ * In-memory caches: workspaceId -> (personaId -> enhanced memory state)
+ * Each workspace's cache is loaded from its own file on first use.
+ */
+const enhancedMemoryCaches = new Map();
+
+workspaceEvents.on('deleted', (workspaceId) => enhancedMemoryCaches.delete(workspaceId));
+
+/**
+ * Path of a workspace's memory file
+ */
+function memoryFile(workspaceId) {
+  return path.join(getWorkspaceDataDir(workspaceId), ENHANCED_MEMORY_FILENAME);
+}
+
+/**
+ * Get the live (non-forked) cache of the active workspace
+ */
+function getWorkspaceCache() {
+  const workspaceId = getWorkspaceId();
+  if (!enhancedMemoryCaches.has(workspaceId)) {
+    initializeEnhancedMemory(workspaceId);
+  }
+  return enhancedMemoryCaches.get(workspaceId);
+}
+
+/**
+ * Memory scope for forked runs
+ * Code running inside runWithMemoryFork() reads and writes a private copy of
+ * the cache that is never saved to disk.
+ */
+const memoryScope = new AsyncLocalStorage();
+
+/**
+ * Get the cache the current async context should use
+ */
+function getActiveCache() {
+  const scope = memoryScope.getStore();
+  return scope ? scope.cache : getWorkspaceCache();
+}
+
+/**
+ * Get the active memory scope (null outside of a fork)
+ * @returns {Object|null} Scope with `cache`, `label`, `branch` and a `threads` map for providers
+ */
+function getMemoryScope() {
+  return memoryScope.getStore() || null;
+}
+
+/**
+ * Deep copy of the active memory state
+ * @returns {Object} personaId -> enhanced memory state
+ */
+function forkEnhancedMemory() {
+  return JSON.parse(JSON.stringify(getActiveCache()));
+}
+
+/**
+ * Run a function against a forked, non-persisted copy of memory
+ * @param {Function} fn - Async function to run inside the fork
+ * @param {Object} options
+ * @param {Object} [options.cache] - State to start from (defaults to a copy of the active state)
+ * @param {string} [options.label] - Name used in logs
+ * @param {string} [options.branch] - Snapshot the fork was branched from, if any
+ * @returns {Promise<*>} Result of fn
  */
-let enhancedMemoryCache = {};
+function runWithMemoryFork(fn, options = {}) {
+  const scope = {
+    cache: options.cache || forkEnhancedMemory(),
+    label: options.label || 'fork',
+    branch: options.branch || null,
+    threads: new Map() // Provider conversation state private to this fork
+  };
+  return memoryScope.run(scope, fn);
+}
 
 /**
- * Initialize enhanced memory system
+ * Initialize enhanced memory system for a workspace
+ * @param {string} [workspaceId] - Defaults to the active workspace
  */
-function initializeEnhancedMemory() {
+function initializeEnhancedMemory(workspaceId = getWorkspaceId()) {
+  const file = memoryFile(workspaceId);
+  const personaIds = getWorkspacePersonas(workspaceId).map(p => p.id);
+
   try {
-    const dataDir = path.dirname(ENHANCED_MEMORY_FILE);
+    const dataDir = path.dirname(file);
     if (!fs.existsSync(dataDir)) {
       fs.mkdirSync(dataDir, { recursive: true });
     }
 
-    if (fs.existsSync(ENHANCED_MEMORY_FILE)) {
-      const data = fs.readFileSync(ENHANCED_MEMORY_FILE, 'utf8');
-      enhancedMemoryCache = JSON.parse(data);
-      console.log('[EnhancedMemory] Loaded existing enhanced memory states');
+    if (fs.existsSync(file)) {
+      const data = fs.readFileSync(file, 'utf8');
+      enhancedMemoryCaches.set(workspaceId, JSON.parse(data));
+      log.info('Loaded existing enhanced memory states', { workspaceId });
     } else {
-      enhancedMemoryCache = {};
-      for (let i = 1; i <= 20; i++) {
+      const cache = {};
+      for (const id of personaIds) {
         const state = JSON.parse(JSON.stringify(DEFAULT_ENHANCED_STATE));
         // Mix up initial trust (some skeptical, some loyal)
         state.trust_score = Math.floor(Math.random() * 60) + 40; // 40-100 initial trust
-        enhancedMemoryCache[i] = state;
+        cache[id] = state;
       }
-      saveEnhancedMemory();
-      console.log('[EnhancedMemory] Initialized fresh enhanced memory for 20 personas');
+      enhancedMemoryCaches.set(workspaceId, cache);
+      saveEnhancedMemory(workspaceId);
+      log.info('Initialized fresh enhanced memory', { workspaceId, personaCount: personaIds.length });
     }
   } catch (error) {
-    console.error('[EnhancedMemory] Error initializing:', error.message);
-    enhancedMemoryCache = {};
-    for (let i = 1; i <= 20; i++) {
-      enhancedMemoryCache[i] = JSON.parse(JSON.stringify(DEFAULT_ENHANCED_STATE));
+    log.error('Error initializing', { workspaceId, error: error.message });
+    const cache = {};
+    for (const id of personaIds) {
+      cache[id] = JSON.parse(JSON.stringify(DEFAULT_ENHANCED_STATE));
     }
+    enhancedMemoryCaches.set(workspaceId, cache);
   }
 }
 
 /**
  * Save enhanced memory to disk
+ * @param {string} [workspaceId] - Defaults to the active workspace
  */
-function saveEnhancedMemory() {
+function saveEnhancedMemory(workspaceId = getWorkspaceId()) {
+  // Forks are never persisted
+  if (memoryScope.getStore()) return;
+
   try {
-    fs.writeFileSync(ENHANCED_MEMORY_FILE, JSON.stringify(enhancedMemoryCache, null, 2));
+    fs.writeFileSync(memoryFile(workspaceId), JSON.stringify(enhancedMemoryCaches.get(workspaceId), null, 2));
   } catch (error) {
-    console.error('[EnhancedMemory] Error saving:', error.message);
+    log.error('Error saving', { workspaceId, error: error.message });
   }
 }
 
@@ -109,10 +197,11 @@ function saveEnhancedMemory() {
  * Get enhanced memory state for a persona
  */
 function getEnhancedMemoryState(personaId) {
-  if (!enhancedMemoryCache[personaId]) {
-    enhancedMemoryCache[personaId] = JSON.parse(JSON.stringify(DEFAULT_ENHANCED_STATE));
+  const cache = getActiveCache();
+  if (!cache[personaId]) {
+    cache[personaId] = JSON.parse(JSON.stringify(DEFAULT_ENHANCED_STATE));
   }
-  return enhancedMemoryCache[personaId];
+  return cache[personaId];
 }
 
 /**
@@ -122,7 +211,8 @@ function getEnhancedMemoryState(personaId) {
  */
 function recordVisit(personaId, visit) {
   const state = getEnhancedMemoryState(personaId);
-  const { turnNumber, decision, price, quality, emotion, reasoning } = visit;
+  const { turnNumber, decision, price, quality, emotion, reasoning, basket, competitorId, competitorPrice } = visit;
+  const spent = basket && basket.length > 0 ? basket.reduce((sum, line) => sum + line.lineTotal, 0) : price;
 
   // Add to visit history
   state.visitHistory.push({
@@ -132,6 +222,7 @@ function recordVisit(personaId, visit) {
     quality,
     emotion,
     reasoning,
+    basket: basket && basket.length > 0 ? basket.map(({ item, quantity }) => ({ item, quantity })) : undefined,
     timestamp: new Date().toISOString()
   });
 
@@ -144,13 +235,17 @@ function recordVisit(personaId, visit) {
   state.lifetimeStats.totalVisits++;
   if (decision === 'Buy') {
     state.lifetimeStats.totalBuys++;
-    state.lifetimeStats.totalSpent += price;
+    state.lifetimeStats.totalSpent += spent;
   } else if (decision === 'Skip') {
     state.lifetimeStats.totalSkips++;
   } else if (decision === 'Switch') {
     state.lifetimeStats.totalSwitches++;
     state.competitorKnowledge.discoveredCompetitor = true;
     state.competitorKnowledge.lastSwitchTurn = turnNumber;
+    if (competitorPrice !== undefined) {
+      state.competitorKnowledge.competitorId = competitorId;
+      state.competitorKnowledge.competitorPrice = competitorPrice;
+    }
   }
 
   // Update price anchoring
@@ -250,10 +345,15 @@ function updateTrustWithEmotion(personaId, emotion, reason, reasoning) {
 
   state.trust_score = Math.max(0, Math.min(100, state.trust_score + delta));
 
-  console.log(`[EnhancedMemory] Persona ${personaId}: ${emotion} → Trust ${oldTrust} → ${state.trust_score} (${reason})`);
-  if (reasoning) {
-    console.log(`               > Reasoning: "${reasoning}"`);
-  }
+  log.debug('Trust updated', {
+    personaId,
+    emotion,
+    oldTrust,
+    newTrust: state.trust_score,
+    reason,
+    // Reasoning text is verbose; only logged when enabled
+    reasoning: config.logging.personaReasoning ? reasoning : undefined
+  });
 
   saveEnhancedMemory();
   return state.trust_score;
@@ -359,18 +459,39 @@ function getDecisionContext(personaId, currentPrice) {
 }
 
 /**
- * Reset all enhanced memory (for testing)
+ * Replace the active workspace's live enhanced memory (e.g. when restoring a snapshot)
+ * @param {Object} state - personaId -> enhanced memory state
+ */
+function replaceEnhancedMemory(state) {
+  enhancedMemoryCaches.set(getWorkspaceId(), JSON.parse(JSON.stringify(state)));
+  saveEnhancedMemory();
+}
+
+/**
+ * Trust scores of every workspace whose live memory is loaded
+ * @returns {Array<Object>} [{ workspaceId, scores }]
+ */
+function getLiveTrustScores() {
+  return [...enhancedMemoryCaches].map(([workspaceId, cache]) => ({
+    workspaceId,
+    scores: Object.values(cache).map(state => state.trust_score)
+  }));
+}
+
+/**
+ * Reset all enhanced memory of the active workspace (for testing)
  */
 function resetAllEnhancedMemory() {
-  enhancedMemoryCache = {};
-  for (let i = 1; i <= 20; i++) {
-    enhancedMemoryCache[i] = JSON.parse(JSON.stringify(DEFAULT_ENHANCED_STATE));
+  const cache = {};
+  for (const { id } of getWorkspacePersonas()) {
+    cache[id] = JSON.parse(JSON.stringify(DEFAULT_ENHANCED_STATE));
   }
+  enhancedMemoryCaches.set(getWorkspaceId(), cache);
   saveEnhancedMemory();
-  console.log('[EnhancedMemory] Reset all enhanced memory states');
+  log.info('Reset all enhanced memory states', { workspaceId: getWorkspaceId() });
 }
 
-// Initialize on module load
+// Initialize the default workspace on module load
 initializeEnhancedMemory();
 
 module.exports = {
@@ -381,5 +502,10 @@ module.exports = {
   checkHabitBreakage,
   getDecisionContext,
   resetAllEnhancedMemory,
-  initializeEnhancedMemory
+  replaceEnhancedMemory,
+  getLiveTrustScores,
+  initializeEnhancedMemory,
+  forkEnhancedMemory,
+  runWithMemoryFork,
+  getMemoryScope
 };
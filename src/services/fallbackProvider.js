@@ -0,0 +1,93 @@
+/**
+ * Fallback Provider - Ordered chain of providers with per-persona failover
+ *
+ * Each persona call goes to the first provider in the chain. When it fails
+ * with a retryable error (rate limit, timeout, server or network error) the
+ * same persona is retried on the next provider, so a TPM limit no longer
+ * turns into a forced "Skip".
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('fallbackProvider');
+
+class FallbackProvider {
+  /**
+   * @param {string[]} chain - Ordered provider types, e.g. ['openai', 'gemini', 'mock']
+   */
+  constructor(chain) {
+    // Required lazily to avoid a circular import with providerFactory
+    const { createProvider } = require('./providerFactory');
+
+    this.providers = [];
+    for (const [i, providerType] of chain.entries()) {
+      try {
+        // Rate limits fall through to the next provider; only the last one waits them out
+        this.providers.push(createProvider(providerType, i < chain.length - 1 ? { maxRetries: 0 } : undefined));
+      } catch (error) {
+        log.warn('Skipping provider', { provider: providerType, error: error.message });
+      }
+    }
+
+    if (this.providers.length === 0) {
+      throw new Error(`No provider in fallback chain could be initialized: ${chain.join(', ')}`);
+    }
+
+    log.info('Initialized chain', { chain: this.getName() });
+  }
+
+  /**
+   * Build context message using the primary provider
+   */
+  buildContextMessage(...args) {
+    return this.providers[0].buildContextMessage(...args);
+  }
+
+  /**
+   * Batch size recommended by the primary provider's scheduler
+   */
+  recommendBatchSize(costPerPersona) {
+    return this.providers[0].recommendBatchSize(costPerPersona);
+  }
+
+  /**
+   * Simulate a single persona decision, falling through the chain on retryable errors
+   * @returns {Promise<Object>} Decision result with provider attribution
+   */
+  async simulatePersona(persona, context, price, quality, marketMomentum, turnNumber, event, businessState = {}) {
+    const failedProviders = [];
+    let result;
+
+    for (let i = 0; i < this.providers.length; i++) {
+      const provider = this.providers[i];
+      result = await provider.simulatePersona(persona, context, price, quality, marketMomentum, turnNumber, event, businessState);
+
+      result.provider = provider.getName();
+      result.fallback = i > 0;
+      if (failedProviders.length > 0) {
+        result.fallbackFrom = [...failedProviders];
+      }
+
+      if (!result.error || !result.retryable) {
+        return result;
+      }
+
+      failedProviders.push({ provider: provider.getName(), errorType: result.errorType, reason: result.reasoning });
+
+      if (i < this.providers.length - 1) {
+        log.warn('Provider failed, falling back', { personaId: persona.id, provider: provider.getName(), errorType: result.errorType, next: this.providers[i + 1].getName() });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get provider name
+   */
+  getName() {
+    return this.providers.map(p => p.getName()).join(' -> ');
+  }
+}
+
+module.exports = FallbackProvider;
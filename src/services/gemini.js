@@ -1,18 +1,201 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const config = require('../config');
+const { getEnhancedMemoryState, getMemoryScope } = require('./enhancedMemory');
+const { buildPersonaInstructions } = require('./oPersonas');
+const { buildContextMessage } = require('./contextMessage');
+const { classifyError, isRetryableError, getRetryAfterMs } = require('./providerErrors');
+const { parseDecisionResponse, normalizeDecision, FALLBACK_DECISION } = require('./decisionParser');
+const { getWorkspaceId, workspaceEvents } = require('./workspaces');
+const { recordParseFailure } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('gemini');
 
 const genAI = new GoogleGenerativeAI(config.gemini.apiKey);
 
+// Per-persona chat history: workspaceId -> (personaId -> Gemini content array)
+// Plays the role of the Assistants threads used by the OpenAI provider
+const chatHistoriesByWorkspace = new Map();
+const MAX_HISTORY_TURNS = 10; // Exchanges kept per persona (user + model pairs)
+
+workspaceEvents.on('deleted', (workspaceId) => chatHistoriesByWorkspace.delete(workspaceId));
+
+/**
+ * Chat histories of the active workspace
+ * @returns {Map} personaId -> Gemini content array
+ */
+function getChatHistories() {
+  const workspaceId = getWorkspaceId();
+  if (!chatHistoriesByWorkspace.has(workspaceId)) {
+    chatHistoriesByWorkspace.set(workspaceId, new Map());
+  }
+  return chatHistoriesByWorkspace.get(workspaceId);
+}
+
 async function runAgent(prompt) {
   const model = genAI.getGenerativeModel({ model: config.gemini.model });
   const result = await model.generateContent(prompt);
   return result.response.text();
 }
 
+/**
+ * Gemini Provider - Uses Gemini chat sessions with per-persona history
+ *
+ * Same contract as OpenAIProvider so both backends are interchangeable
+ * in batchProcessor.processBatchedSimulation.
+ */
+class GeminiProvider {
+  constructor() {
+    if (!config.gemini.apiKey) {
+      throw new Error('Gemini API key not configured');
+    }
+    log.info('Initialized', { model: config.gemini.model });
+  }
+
+  /**
+   * Build context message for a Gemini chat turn
+   */
+  buildContextMessage(persona, context, price, quality, marketMomentum, event, businessState = {}) {
+    return buildContextMessage(persona, context, price, quality, marketMomentum, event, businessState);
+  }
+
+  /**
+   * Send a message in the persona's chat and return the raw response text
+   * @param {Object} persona - Persona instance
+   * @param {string} message - Message content
+   * @returns {Promise<string>} Model response text
+   */
+  async sendPersonaMessage(persona, message) {
+    const model = genAI.getGenerativeModel(
+      {
+        model: config.gemini.model,
+        systemInstruction: buildPersonaInstructions(persona),
+        generationConfig: {
+          maxOutputTokens: config.gemini.maxTokens,
+          responseMimeType: 'application/json'
+        }
+      },
+      { timeout: config.gemini.timeoutMs }
+    );
+
+    // Inside a memory fork, start from the shared history but keep updates private
+    const scope = getMemoryScope();
+    const chatHistories = getChatHistories();
+    const histories = scope ? scope.threads : chatHistories;
+    const history = histories.get(persona.id) || chatHistories.get(persona.id) || [];
+    const chat = model.startChat({ history });
+    const result = await chat.sendMessage(message);
+    const responseText = result.response.text();
+
+    // Only commit the exchange once the model has answered
+    const updatedHistory = [
+      ...history,
+      { role: 'user', parts: [{ text: message }] },
+      { role: 'model', parts: [{ text: responseText }] }
+    ];
+    histories.set(persona.id, updatedHistory.slice(-MAX_HISTORY_TURNS * 2));
+
+    return responseText;
+  }
+
+  /**
+   * Simulate a single persona decision
+   * @param {Object} persona - Persona instance
+   * @param {Object} context - Generated context (from contextGenerator)
+   * @param {number} price - Current price
+   * @param {number} quality - Current quality
+   * @param {Object|null} marketMomentum - Market momentum data
+   * @param {number} turnNumber - Current turn number
+   * @param {string} event - Current event description
+   * @param {Object} businessState - Rich business context
+   * @returns {Promise<Object>} Decision result
+   */
+  async simulatePersona(persona, context, price, quality, marketMomentum, turnNumber, event, businessState = {}) {
+    try {
+      const memoryState = getEnhancedMemoryState(persona.id);
+
+      // Build context message
+      const message = this.buildContextMessage(persona, context, price, quality, marketMomentum, event, businessState);
+
+      const responseText = await this.sendPersonaMessage(persona, message);
+
+      let decision;
+      try {
+        decision = parseDecisionResponse(responseText);
+      } catch (parseError) {
+        log.warn('Failed to parse JSON response, using fallback decision', { provider: 'gemini', personaId: persona.id, responseText });
+        recordParseFailure('gemini');
+        decision = { ...FALLBACK_DECISION };
+      }
+
+      // Validate decision structure
+      normalizeDecision(decision);
+
+      return {
+        personaId: persona.id,
+        personaName: persona.name,
+        archetype: persona.archetype,
+        ...decision,
+        personaDetails: {
+          backstory: persona.description,
+          quirks: persona.quirks,
+          stats: {
+            priceSensitivity: persona.priceSensitivity,
+            brandLoyalty: persona.brandLoyalty,
+            socialInfluence: persona.socialInfluenceWeight,
+            qualityFocus: persona.qualityThreshold
+          }
+        },
+        context: {
+          mood: context.emotional.currentMood,
+          budgetRemaining: context.financial.budgetRemaining,
+          trust: memoryState.trust_score
+        }
+      };
+
+    } catch (error) {
+      log.error('Error processing persona', { provider: 'gemini', personaId: persona.id, error: error.message });
+      return {
+        personaId: persona.id,
+        personaName: persona.name,
+        archetype: persona.archetype,
+        decision: 'Skip',
+        reasoning: `Error: ${error.message}`,
+        emotion: 'neutral',
+        pricePerception: 'unknown',
+        error: true,
+        errorType: classifyError(error),
+        retryable: isRetryableError(error),
+        retryAfterMs: getRetryAfterMs(error)
+      };
+    }
+  }
+
+  /**
+   * Get provider name
+   */
+  getName() {
+    return 'gemini';
+  }
+}
+
+/**
+ * Clear the active workspace's chat histories (useful for testing/reset)
+ */
+function clearChatHistories() {
+  getChatHistories().clear();
+  log.info('Cleared chat histories');
+}
+
 /**
  * Generate executive summary and insights based on simulation results
+ * @param {Object} [profitAndLoss] - P&L block of the turn (see profitModel)
  */
-async function generateInsight(results, summary, businessState) {
+async function generateInsight(results, summary, businessState, profitAndLoss) {
+  if (!config.gemini.apiKey) {
+    return "Detailed insights not available (Gemini API key not configured).";
+  }
+
   try {
     const model = genAI.getGenerativeModel({ model: config.gemini.model });
 
@@ -23,6 +206,13 @@ async function generateInsight(results, summary, businessState) {
       ? businessState.marketingTactics.join(', ')
       : "None";
 
+    const financialsText = profitAndLoss
+      ? `- Revenue: $${profitAndLoss.revenue.gross.toFixed(2)} from ${profitAndLoss.revenue.units} items at an average $${profitAndLoss.revenue.averagePrice.toFixed(2)}
+    - Costs: $${profitAndLoss.costs.goods.toFixed(2)} goods, $${profitAndLoss.costs.labour.toFixed(2)} labour, $${profitAndLoss.costs.marketing.toFixed(2)} marketing
+    - Net Profit: $${profitAndLoss.netProfit.toFixed(2)} (margin ${profitAndLoss.margin === null ? 'n/a' : `${(profitAndLoss.margin * 100).toFixed(1)}%`})${profitAndLoss.byItem.length > 0 ? `
+    - By Item: ${profitAndLoss.byItem.map(i => `${i.item} ${i.units} units, $${i.revenue.toFixed(2)}`).join('; ')}` : ''}`
+      : "- Financials: not available";
+
     const prompt = `
     Analyze this coffee shop simulation run.
     
@@ -30,6 +220,9 @@ async function generateInsight(results, summary, businessState) {
     - Marketing Tactics: ${marketingText}
     - Staffing: ${businessState.employees ? businessState.employees.length + ' employees' : 'Standard'}
     - Results: ${summary.buyCount} Buys, ${summary.skipCount} Skips, ${summary.switchCount} Switches.
+
+    FINANCIALS:
+    ${financialsText}
     
     CUSTOMER FEEDBACK:
     ${reasonings}
@@ -38,7 +231,7 @@ async function generateInsight(results, summary, businessState) {
     Provide a concise 5-sentence executive summary.
     1. Summarize general customer sentiment.
     2. SPECIFICALLY analyze the marketing tactics (e.g., "${marketingText}"). Did they drive traffic? Did customers mention them? 
-    3. Evaluate the business impact: Did the volume increase justify the discount/cost? (e.g., "While margins are lower per unit, the volume increase suggests higher total profit" or "The discount failed to attract enough new customers to offset the cost").
+    3. Evaluate the business impact using the FINANCIALS above: cite the net profit and margin, and say which cost line (goods, labour or marketing) most limits profit. Don't guess at numbers that aren't given.
     
     Keep it professional and insight-driven.
     `;
@@ -46,11 +239,9 @@ async function generateInsight(results, summary, businessState) {
     const result = await model.generateContent(prompt);
     return result.response.text();
   } catch (error) {
-    const fs = require('fs');
-    fs.appendFileSync('gemini_errors.log', `${new Date().toISOString()} - [Gemini Error] ${error.message}\n${error.stack}\n\n`);
-    console.error("[Gemini] Error generating insight:", error.message);
-    return "Unable to generate insights at this time. Check gemini_errors.log for details.";
+    log.error('Error generating insight', { error: error.message, stack: error.stack });
+    return "Unable to generate insights at this time.";
   }
 }
 
-module.exports = { runAgent, generateInsight };
+module.exports = { runAgent, generateInsight, GeminiProvider, clearChatHistories };
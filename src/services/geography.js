@@ -0,0 +1,148 @@
+/**
+ * Geography - Where personas are, how far they travel and where they switch to
+ *
+ * Everything lives on the 100x100 map canvas (x and y from -50 to 50) with
+ * our shop at (0, 0) and competitors at their submitted coordinates. Each
+ * persona has a home and a workplace (workspaces can override either, or set
+ * work to null); a visit starts from one or the other depending on the day
+ * and time.
+ *
+ * Switching follows a gravity (Huff) model: a shop's pull is its quality per
+ * dollar, counting the trip there, divided by distance raised to
+ * config.geography.distanceDecay. A persona who doesn't buy from us switches
+ * with the competitors' share of the total pull, and picks among them in
+ * proportion to their pull.
+ */
+
+const config = require('../config');
+const { createRng, hashSeed } = require('./rng');
+
+const SHOP = { x: 0, y: 0 };
+const CANVAS_RADIUS = 50;
+const MIN_DISTANCE_KM = 0.1; // Keeps the pull of a shop next door finite
+
+const round = (v, digits = 2) => parseFloat(v.toFixed(digits));
+
+/**
+ * A random point on the canvas, away from our shop
+ */
+function randomPoint(random, minRadius, maxRadius) {
+  const r = minRadius + random() * (maxRadius - minRadius);
+  const theta = random() * 2 * Math.PI;
+  return { x: round(r * Math.cos(theta), 1), y: round(r * Math.sin(theta), 1) };
+}
+
+/**
+ * Home and work locations of a persona
+ * Uses the persona's own `home`/`work` when set (e.g. workspace overrides);
+ * otherwise places it from its ID, so it lives in the same spot every turn
+ * and every run.
+ * @param {Object} persona - Persona instance
+ * @returns {Object} { home: {x, y}, work: {x, y}|null }
+ */
+function locatePersona(persona) {
+  const random = createRng(hashSeed('location', persona.id));
+  const home = persona.home || randomPoint(random, 10, CANVAS_RADIUS);
+  const work = persona.work !== undefined ? persona.work : randomPoint(random, 5, CANVAS_RADIUS);
+  return { home, work };
+}
+
+/**
+ * Where a visit starts: work on weekday lunches and afternoons, home otherwise
+ * @param {Object} location - From locatePersona
+ * @param {Object} temporal - Temporal context
+ * @returns {Object} { place, x, y }
+ */
+function tripOrigin(location, temporal) {
+  const atWork = location.work && !temporal.isWeekend && ['lunch', 'afternoon'].includes(temporal.timeOfDay);
+  return atWork ? { place: 'work', ...location.work } : { place: 'home', ...location.home };
+}
+
+/**
+ * One-way trip from an origin to a shop
+ * Rushing personas count their time too, which makes the same trip dearer.
+ * @returns {Object} { distanceKm, travelCost }
+ */
+function trip(origin, destination, isRushing) {
+  const distanceKm = Math.hypot(destination.x - origin.x, destination.y - origin.y) * config.geography.kmPerUnit;
+  const costPerKm = config.geography.travelCostPerKm * (isRushing ? 1.5 : 1);
+  return { distanceKm: round(distanceKm), travelCost: round(distanceKm * costPerKm) };
+}
+
+/**
+ * Trips to our shop and to every competitor for this visit
+ * @param {Object} persona - Persona instance
+ * @param {Object} temporal - Temporal context
+ * @param {Array<Object>} competitors - Competitor agents [{ id, name, x, y, ... }]
+ * @returns {Object} { origin, shop, competitors, nearestCompetitor }
+ */
+function planTrip(persona, temporal, competitors = []) {
+  const origin = tripOrigin(locatePersona(persona), temporal);
+
+  const toCompetitors = competitors.map(c => ({ id: c.id, name: c.name, ...trip(origin, c, temporal.isRushing) }));
+  const nearestCompetitor = toCompetitors.reduce(
+    (nearest, c) => (!nearest || c.distanceKm < nearest.distanceKm ? c : nearest),
+    null
+  );
+
+  return {
+    origin,
+    shop: trip(origin, SHOP, temporal.isRushing),
+    competitors: toCompetitors,
+    nearestCompetitor
+  };
+}
+
+/**
+ * Gravity pull of one shop
+ */
+function pull(quality, price, { distanceKm, travelCost }) {
+  const valueForMoney = quality / Math.max(0.01, price + travelCost);
+  return valueForMoney / Math.pow(Math.max(MIN_DISTANCE_KM, distanceKm), config.geography.distanceDecay);
+}
+
+/**
+ * Gravity shares of our shop and each competitor for one persona's visit
+ * @param {Object} travel - From planTrip
+ * @param {Object} market - { price, quality } of our shop
+ * @param {Array<Object>} competitors - Competitor agents with price and quality
+ * @returns {Object} { switchLikelihood, shares: [{ id, name, share }] }
+ */
+function gravityShares(travel, { price, quality }, competitors) {
+  const ours = pull(quality, price, travel.shop);
+  const theirs = travel.competitors.map(t => {
+    const c = competitors.find(comp => comp.id === t.id);
+    return { id: t.id, name: t.name, pull: pull(c.quality, c.price, t) };
+  });
+  const total = ours + theirs.reduce((sum, t) => sum + t.pull, 0);
+
+  return {
+    switchLikelihood: round(theirs.reduce((sum, t) => sum + t.pull, 0) / total, 4),
+    shares: theirs.map(t => ({ id: t.id, name: t.name, share: round(t.pull / total, 4) }))
+  };
+}
+
+/**
+ * Settle Skip vs Switch, and where to, for a persona who isn't buying from us
+ * @param {Object} gravity - From gravityShares
+ * @param {Function} random - Random source (seeded PRNG or Math.random)
+ * @returns {number|null} Competitor ID to switch to, or null to skip
+ */
+function drawSwitch(gravity, random = Math.random) {
+  if (gravity.shares.length === 0 || random() >= gravity.switchLikelihood) return null;
+
+  let target = random() * gravity.switchLikelihood;
+  for (const { id, share } of gravity.shares) {
+    target -= share;
+    if (target < 0) return id;
+  }
+  return gravity.shares[gravity.shares.length - 1].id;
+}
+
+module.exports = {
+  SHOP,
+  locatePersona,
+  planTrip,
+  gravityShares,
+  drawSwitch
+};
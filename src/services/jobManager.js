@@ -0,0 +1,217 @@
+/**
+ * Job Manager - Asynchronous simulation jobs with polling and cancellation
+ *
+ * Jobs live in memory for config.jobs.ttlMs after they finish. Each job runs
+ * with its own AbortSignal; cancelling it aborts outstanding persona calls
+ * (including in-flight Assistants runs) before anything is written to memory.
+ * Jobs belong to the workspace that created them and are invisible to others.
+ * Progress can also be followed live with subscribeToJob().
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const { runWithSignal, CancelledError } = require('./cancellation');
+const { getWorkspaceId } = require('./workspaces');
+const { holdReservation } = require('./apiKeys');
+const { createLogger, runWithLogContext } = require('./logger');
+
+const log = createLogger('jobManager');
+
+const jobs = new Map();
+
+/**
+ * Public view of a job
+ * @param {Object} job - Internal job record
+ * @returns {Object}
+ */
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    partialResults: job.status === 'completed' ? undefined : job.partialResults,
+    result: job.result,
+    error: job.error
+  };
+}
+
+/**
+ * Drop finished jobs older than the configured TTL
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - config.jobs.ttlMs;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Start a job
+ * @param {string} type - Job type, e.g. 'advanced'
+ * @param {Function} work - async (hooks) => result. hooks.onBatchComplete reports progress.
+ * @returns {Object} Serialized job
+ */
+function createJob(type, work) {
+  pruneJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    workspaceId: getWorkspaceId(),
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: { completed: 0, total: null, batches: 0 },
+    partialResults: [],
+    result: null,
+    error: null,
+    finalizing: false,
+    controller: new AbortController(),
+    events: new EventEmitter()
+  };
+  jobs.set(job.id, job);
+
+  // The request's quota stays held until the job finishes, not just its 202
+  const releaseQuota = holdReservation();
+
+  const hooks = {
+    onPersonaResult: (result) => job.events.emit('persona', result),
+    onBatchComplete: ({ batchNumber, results, completed, total, momentum }) => {
+      job.progress = { completed, total, batches: batchNumber };
+      job.partialResults.push(...results);
+      // Memory is committed right after the last wave; too late to cancel from here on
+      if (completed === total) job.finalizing = true;
+      job.events.emit('momentum', { batchNumber, completed, total, momentum });
+    }
+  };
+
+  // Start on the next tick so the caller can respond with the job ID first
+  setImmediate(() => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    runWithLogContext({ jobId: job.id }, () => runWithSignal(job.controller.signal, () => work(hooks)))
+      .then((result) => {
+        if (job.status === 'cancelled') return;
+        job.status = 'completed';
+        job.result = result;
+      })
+      .catch((error) => {
+        if (error instanceof CancelledError || job.status === 'cancelled') {
+          job.status = 'cancelled';
+          return;
+        }
+        log.error('Job failed', { jobId: job.id, error: error.message });
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        releaseQuota();
+        job.finishedAt = new Date().toISOString();
+        job.events.emit('finished', serializeJob(job));
+      });
+  });
+
+  log.info('Created job', { jobId: job.id, type });
+  return serializeJob(job);
+}
+
+/**
+ * Look up a job of the active workspace
+ * @param {string} jobId - Job ID
+ * @returns {Object|undefined} Internal job record
+ */
+function findJob(jobId) {
+  const job = jobs.get(jobId);
+  return job && job.workspaceId === getWorkspaceId() ? job : undefined;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Serialized job
+ */
+function getJob(jobId) {
+  const job = findJob(jobId);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * Follow a job as it runs
+ * Listeners receive ('persona', result), ('momentum', { batchNumber, completed, total, momentum })
+ * and finally ('finished', job); nothing is sent for a job that already finished.
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - (event, data) => void
+ * @returns {Object|null} { job, unsubscribe } with the job as it stands now, or null when not found
+ */
+function subscribeToJob(jobId, listener) {
+  const job = findJob(jobId);
+  if (!job) return null;
+
+  const handlers = ['persona', 'momentum', 'finished'].map(event => [event, (data) => listener(event, data)]);
+  if (!job.finishedAt) {
+    for (const [event, handler] of handlers) job.events.on(event, handler);
+  }
+
+  return {
+    job: serializeJob(job),
+    unsubscribe: () => {
+      for (const [event, handler] of handlers) job.events.off(event, handler);
+    }
+  };
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {string} jobId - Job ID
+ * @returns {Object} { found, cancelled, reason, job }
+ */
+function cancelJob(jobId) {
+  const job = findJob(jobId);
+  if (!job) {
+    return { found: false, cancelled: false };
+  }
+
+  if (!['queued', 'running'].includes(job.status)) {
+    return { found: true, cancelled: false, reason: `Job is already ${job.status}`, job: serializeJob(job) };
+  }
+
+  if (job.finalizing) {
+    return { found: true, cancelled: false, reason: 'Job has already committed its results', job: serializeJob(job) };
+  }
+
+  job.status = 'cancelled';
+  job.controller.abort();
+  log.info('Cancelled job', { jobId: job.id });
+
+  return { found: true, cancelled: true, job: serializeJob(job) };
+}
+
+/**
+ * List the active workspace's jobs, newest first
+ * @returns {Object[]}
+ */
+function listJobs() {
+  pruneJobs();
+  const workspaceId = getWorkspaceId();
+  return [...jobs.values()]
+    .filter(job => job.workspaceId === workspaceId)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .map(job => ({ jobId: job.id, type: job.type, status: job.status, createdAt: job.createdAt, progress: job.progress }));
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  listJobs,
+  subscribeToJob
+};
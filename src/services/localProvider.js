@@ -0,0 +1,163 @@
+/**
+ * Local LLM Provider - OpenAI-compatible chat completions on a self-hosted server
+ *
+ * Works with Ollama, llama.cpp server, vLLM and similar. Calls are stateless:
+ * each request rebuilds the persona's system prompt from OPENAI_PERSONAS and
+ * replays its recent visits from enhancedMemory instead of relying on
+ * Assistants agents and threads.
+ */
+
+const OpenAI = require('openai');
+const config = require('../config');
+const { getEnhancedMemoryState } = require('./enhancedMemory');
+const { buildPersonaInstructions } = require('./oPersonas');
+const { buildContextMessage } = require('./contextMessage');
+const { classifyError, isRetryableError, getRetryAfterMs } = require('./providerErrors');
+const { parseDecisionResponse, normalizeDecision, FALLBACK_DECISION } = require('./decisionParser');
+const { getSignal } = require('./cancellation');
+const { recordParseFailure } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('localProvider');
+
+class LocalLLMProvider {
+  constructor() {
+    if (!config.local.baseUrl) {
+      throw new Error('Local LLM base URL not configured');
+    }
+
+    this.client = new OpenAI({
+      baseURL: config.local.baseUrl,
+      apiKey: config.local.apiKey,
+      timeout: config.local.timeoutMs,
+      maxRetries: 1
+    });
+    this.model = config.local.model;
+
+    log.info('Initialized', { model: this.model, baseUrl: config.local.baseUrl });
+  }
+
+  /**
+   * Build context message for the current turn
+   */
+  buildContextMessage(persona, context, price, quality, marketMomentum, event, businessState = {}) {
+    return buildContextMessage(persona, context, price, quality, marketMomentum, event, businessState);
+  }
+
+  /**
+   * Rebuild the conversation for a persona from its stored visit history
+   * @param {Object} persona - Persona instance
+   * @param {string} message - Current context message
+   * @returns {Array} Chat completion messages
+   */
+  buildMessages(persona, message) {
+    const memoryState = getEnhancedMemoryState(persona.id);
+    const messages = [{ role: 'system', content: buildPersonaInstructions(persona) }];
+
+    for (const visit of memoryState.visitHistory.slice(-config.scheduler.limits.local.historyTurns)) {
+      messages.push({
+        role: 'user',
+        content: `### TURN ${visit.turn}\n- Price: $${visit.price}\n- Quality: ${visit.quality}/10`
+      });
+      messages.push({
+        role: 'assistant',
+        content: JSON.stringify({
+          decision: visit.decision,
+          reasoning: visit.reasoning,
+          emotion: visit.emotion
+        })
+      });
+    }
+
+    messages.push({ role: 'user', content: message });
+    return messages;
+  }
+
+  /**
+   * Simulate a single persona decision
+   * @param {Object} persona - Persona instance
+   * @param {Object} context - Generated context (from contextGenerator)
+   * @param {number} price - Current price
+   * @param {number} quality - Current quality
+   * @param {Object|null} marketMomentum - Market momentum data
+   * @param {number} turnNumber - Current turn number
+   * @param {string} event - Current event description
+   * @param {Object} businessState - Rich business context
+   * @returns {Promise<Object>} Decision result
+   */
+  async simulatePersona(persona, context, price, quality, marketMomentum, turnNumber, event, businessState = {}) {
+    try {
+      const memoryState = getEnhancedMemoryState(persona.id);
+
+      const message = this.buildContextMessage(persona, context, price, quality, marketMomentum, event, businessState);
+
+      const completion = await this.client.chat.completions.create({
+        model: this.model,
+        messages: this.buildMessages(persona, message),
+        temperature: config.local.temperature,
+        response_format: { type: 'json_object' }
+      }, { signal: getSignal() });
+
+      const responseText = completion.choices[0]?.message?.content || '';
+
+      let decision;
+      try {
+        decision = parseDecisionResponse(responseText);
+      } catch (parseError) {
+        log.warn('Failed to parse JSON response, using fallback decision', { provider: 'local', personaId: persona.id, responseText });
+        recordParseFailure('local');
+        decision = { ...FALLBACK_DECISION };
+      }
+
+      // Validate decision structure
+      normalizeDecision(decision);
+
+      return {
+        personaId: persona.id,
+        personaName: persona.name,
+        archetype: persona.archetype,
+        ...decision,
+        personaDetails: {
+          backstory: persona.description,
+          quirks: persona.quirks,
+          stats: {
+            priceSensitivity: persona.priceSensitivity,
+            brandLoyalty: persona.brandLoyalty,
+            socialInfluence: persona.socialInfluenceWeight,
+            qualityFocus: persona.qualityThreshold
+          }
+        },
+        context: {
+          mood: context.emotional.currentMood,
+          budgetRemaining: context.financial.budgetRemaining,
+          trust: memoryState.trust_score
+        }
+      };
+
+    } catch (error) {
+      log.error('Error processing persona', { provider: 'local', personaId: persona.id, error: error.message });
+      return {
+        personaId: persona.id,
+        personaName: persona.name,
+        archetype: persona.archetype,
+        decision: 'Skip',
+        reasoning: `Error: ${error.message}`,
+        emotion: 'neutral',
+        pricePerception: 'unknown',
+        error: true,
+        errorType: classifyError(error),
+        retryable: isRetryableError(error),
+        retryAfterMs: getRetryAfterMs(error)
+      };
+    }
+  }
+
+  /**
+   * Get provider name
+   */
+  getName() {
+    return 'local';
+  }
+}
+
+module.exports = LocalLLMProvider;
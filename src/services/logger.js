@@ -0,0 +1,95 @@
+/**
+ * Logger - Structured winston logging with correlation IDs
+ *
+ * Every entry carries the fields of the active log context (requestId,
+ * workspaceId, jobId, simulationId), set with runWithLogContext() and
+ * propagated through async calls with AsyncLocalStorage. Filter on
+ * simulationId to follow one simulation through the batch processor,
+ * providers and memory updates.
+ */
+
+const winston = require('winston');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Copy the active log context onto each entry (explicit fields win)
+ */
+const withContext = winston.format((info) => {
+  const context = logContext.getStore();
+  if (context) {
+    for (const [key, value] of Object.entries(context)) {
+      if (info[key] === undefined) info[key] = value;
+    }
+  }
+  return info;
+});
+
+const jsonFormat = winston.format.combine(
+  winston.format.timestamp(),
+  winston.format.errors({ stack: true }),
+  withContext(),
+  winston.format.json()
+);
+
+const prettyFormat = winston.format.combine(
+  winston.format.timestamp({ format: 'HH:mm:ss.SSS' }),
+  winston.format.errors({ stack: true }),
+  withContext(),
+  winston.format.colorize(),
+  winston.format.printf(({ timestamp, level, module, message, stack, ...fields }) => {
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${timestamp} ${level} [${module || 'app'}] ${message}${extra}${stack ? `\n${stack}` : ''}`;
+  })
+);
+
+const transports = [
+  new winston.transports.Console({
+    format: config.logging.format === 'pretty' ? prettyFormat : jsonFormat
+  })
+];
+
+if (config.logging.file) {
+  transports.push(new winston.transports.File({ filename: config.logging.file, format: jsonFormat }));
+}
+
+const logger = winston.createLogger({
+  level: config.logging.level,
+  transports
+});
+
+/**
+ * Logger for one module
+ * @param {string} module - e.g. 'batchProcessor'
+ * @returns {winston.Logger}
+ */
+function createLogger(module) {
+  return logger.child({ module });
+}
+
+/**
+ * Run a function with extra fields on every log entry it produces
+ * @param {Object} fields - e.g. { requestId }
+ * @param {Function} fn
+ * @returns {*} Result of fn
+ */
+function runWithLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the active log context
+ * @returns {Object}
+ */
+function getLogContext() {
+  return logContext.getStore() || {};
+}
+
+module.exports = {
+  logger,
+  createLogger,
+  runWithLogContext,
+  getLogContext
+};
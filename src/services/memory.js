@@ -10,8 +10,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getWorkspaceId, getWorkspaceDataDir, workspaceEvents } = require('./workspaces');
+const { createLogger } = require('./logger');
 
-const MEMORY_FILE = path.join(__dirname, '../data/persona_memory.json');
+const log = createLogger('personaMemory');
+
+const MEMORY_FILENAME = 'persona_memory.json';
 
 /**
  * Default memory state for a persona
@@ -29,53 +33,81 @@ const DEFAULT_MEMORY_STATE = {
 };
 
 /**
- * In-memory cache of persona states
+ * In-memory caches of persona states, one per workspace
+ */
+const memoryCaches = new Map();
+
+workspaceEvents.on('deleted', (workspaceId) => memoryCaches.delete(workspaceId));
+
+/**
+ * Path of a workspace's memory file
+ */
+function memoryFile(workspaceId) {
+  return path.join(getWorkspaceDataDir(workspaceId), MEMORY_FILENAME);
+}
+
+/**
+ * Get the active workspace's cache, loading it on first use
  */
-let memoryCache = {};
+function getMemoryCache() {
+  const workspaceId = getWorkspaceId();
+  if (!memoryCaches.has(workspaceId)) {
+    initializeMemory(workspaceId);
+  }
+  return memoryCaches.get(workspaceId);
+}
 
 /**
  * Initialize memory system - load from disk or create defaults
+ * @param {string} [workspaceId] - Defaults to the active workspace
  */
-function initializeMemory() {
+function initializeMemory(workspaceId = getWorkspaceId()) {
+  const file = memoryFile(workspaceId);
+  let memoryCache = {};
+
   try {
     // Ensure data directory exists
-    const dataDir = path.dirname(MEMORY_FILE);
+    const dataDir = path.dirname(file);
     if (!fs.existsSync(dataDir)) {
       fs.mkdirSync(dataDir, { recursive: true });
     }
 
     // Try to load existing memory file
-    if (fs.existsSync(MEMORY_FILE)) {
-      const data = fs.readFileSync(MEMORY_FILE, 'utf8');
+    if (fs.existsSync(file)) {
+      const data = fs.readFileSync(file, 'utf8');
       memoryCache = JSON.parse(data);
-      console.log('[PersonaMemory] Loaded existing memory states');
+      memoryCaches.set(workspaceId, memoryCache);
+      log.info('Loaded existing memory states', { workspaceId });
     } else {
       // Initialize all 50 personas with default state
       memoryCache = {};
       for (let i = 1; i <= 50; i++) {
         memoryCache[i] = { ...DEFAULT_MEMORY_STATE };
       }
-      saveMemory();
-      console.log('[PersonaMemory] Initialized fresh memory states for 50 personas');
+      memoryCaches.set(workspaceId, memoryCache);
+      saveMemory(workspaceId);
+      log.info('Initialized fresh memory states for 50 personas', { workspaceId });
     }
   } catch (error) {
-    console.error('[PersonaMemory] Error initializing memory:', error.message);
+    log.error('Error initializing memory', { workspaceId, error: error.message });
     // Fallback to in-memory only
     memoryCache = {};
     for (let i = 1; i <= 50; i++) {
       memoryCache[i] = { ...DEFAULT_MEMORY_STATE };
     }
+    memoryCaches.set(workspaceId, memoryCache);
   }
 }
 
 /**
  * Save memory cache to disk
+ * @param {string} [workspaceId] - Defaults to the active workspace
  */
-function saveMemory() {
+function saveMemory(workspaceId = getWorkspaceId()) {
   try {
-    fs.writeFileSync(MEMORY_FILE, JSON.stringify(memoryCache, null, 2));
+    fs.writeFileSync(memoryFile(workspaceId), JSON.stringify(memoryCaches.get(workspaceId), null, 2));
   } catch (error) {
-    console.error('[PersonaMemory] Error saving memory:', error.message);
+    log.error('Error saving memory', { workspaceId, error: error.message });
   }
 }
 
@@ -85,6 +117,7 @@ function saveMemory() {
  * @returns {Object} Memory state
  */
 function getMemoryState(personaId) {
+  const memoryCache = getMemoryCache();
   if (!memoryCache[personaId]) {
     memoryCache[personaId] = { ...DEFAULT_MEMORY_STATE };
   }
@@ -228,12 +261,13 @@ function checkGrudgeEffect(personaId) {
  * Reset all persona memory (for testing)
  */
 function resetAllMemory() {
-  memoryCache = {};
+  const memoryCache = {};
   for (let i = 1; i <= 50; i++) {
     memoryCache[i] = { ...DEFAULT_MEMORY_STATE };
   }
+  memoryCaches.set(getWorkspaceId(), memoryCache);
   saveMemory();
-  console.log('[PersonaMemory] Reset all memory states');
+  log.info('Reset all memory states');
 }
 
 /**
@@ -241,7 +275,7 @@ function resetAllMemory() {
  * @returns {Object} Aggregate statistics
  */
 function getMemorySummary() {
-  const allStates = Object.values(memoryCache);
+  const allStates = Object.values(getMemoryCache());
   const avgTrust = allStates.reduce((sum, s) => sum + s.trust_score, 0) / allStates.length;
   const lowTrustCount = allStates.filter(s => s.trust_score < 50).length;
   const highTrustCount = allStates.filter(s => s.trust_score >= 80).length;
@@ -254,7 +288,7 @@ function getMemorySummary() {
   };
 }
 
-// Initialize on module load
+// Initialize the default workspace on module load
 initializeMemory();
 
 module.exports = {
@@ -0,0 +1,170 @@
+/**
+ * Memory Snapshots - Named copies of the full enhanced memory state
+ *
+ * Snapshots are stored as JSON files under the workspace's snapshots/
+ * directory, so each workspace only sees its own. Restoring one
+ * replaces the live memory; running "on a branch" forks a snapshot instead,
+ * so what-if runs never touch the live customer base or the snapshot itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { forkEnhancedMemory, replaceEnhancedMemory, runWithMemoryFork } = require('./enhancedMemory');
+const { getWorkspaceDataDir } = require('./workspaces');
+const { createLogger } = require('./logger');
+
+const log = createLogger('snapshots');
+
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Snapshots directory of the active workspace
+ */
+function snapshotsDir() {
+  return path.join(getWorkspaceDataDir(), 'snapshots');
+}
+
+/**
+ * Path of a snapshot's file
+ * @param {string} name
+ * @returns {string|null} null when the name is not a valid snapshot name
+ */
+function snapshotFile(name) {
+  return SNAPSHOT_NAME_PATTERN.test(name) ? path.join(snapshotsDir(), `${name}.json`) : null;
+}
+
+/**
+ * Headline figures of a memory state
+ * @param {Object} memory - personaId -> enhanced memory state
+ * @returns {Object}
+ */
+function describeMemory(memory) {
+  const states = Object.values(memory);
+  const trust = states.map(s => s.trust_score);
+
+  return {
+    personaCount: states.length,
+    averageTrust: trust.length > 0 ? Math.round(trust.reduce((a, b) => a + b, 0) / trust.length) : null,
+    permanentlyGone: states.filter(s => s.flags.isPermanentlyGone).length,
+    totalVisits: states.reduce((sum, s) => sum + s.lifetimeStats.totalVisits, 0)
+  };
+}
+
+/**
+ * Snapshot record without the memory payload
+ */
+function serializeSnapshot({ memory, ...snapshot }) {
+  return { ...snapshot, ...describeMemory(memory) };
+}
+
+/**
+ * Load a snapshot
+ * @param {string} name
+ * @returns {Object|null} { name, description, createdAt, memory }
+ */
+function getSnapshot(name) {
+  const file = snapshotFile(name);
+  if (!file || !fs.existsSync(file)) return null;
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Snapshot the live memory state
+ * @param {string} name - Letters, digits, dashes and underscores
+ * @param {Object} options
+ * @param {string} [options.description]
+ * @param {boolean} [options.overwrite=false] - Replace an existing snapshot of the same name
+ * @returns {Object} { created, snapshot } - created is false when the name is taken
+ */
+function createSnapshot(name, options = {}) {
+  const { description = '', overwrite = false } = options;
+  const file = snapshotFile(name);
+
+  if (fs.existsSync(file) && !overwrite) {
+    return { created: false, snapshot: serializeSnapshot(getSnapshot(name)) };
+  }
+
+  if (!fs.existsSync(snapshotsDir())) {
+    fs.mkdirSync(snapshotsDir(), { recursive: true });
+  }
+
+  const snapshot = {
+    name,
+    description,
+    createdAt: new Date().toISOString(),
+    memory: forkEnhancedMemory()
+  };
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+
+  log.info('Created snapshot', { snapshot: name });
+  return { created: true, snapshot: serializeSnapshot(snapshot) };
+}
+
+/**
+ * List snapshots, newest first
+ * @returns {Array<Object>}
+ */
+function listSnapshots() {
+  if (!fs.existsSync(snapshotsDir())) return [];
+
+  return fs.readdirSync(snapshotsDir())
+    .filter(file => file.endsWith('.json'))
+    .map(file => getSnapshot(path.basename(file, '.json')))
+    .filter(Boolean)
+    .map(serializeSnapshot)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Replace the live memory with a snapshot
+ * @param {string} name
+ * @returns {Object|null} Restored snapshot, or null if it doesn't exist
+ */
+function restoreSnapshot(name) {
+  const snapshot = getSnapshot(name);
+  if (!snapshot) return null;
+
+  replaceEnhancedMemory(snapshot.memory);
+
+  log.info('Restored live memory from snapshot', { snapshot: name });
+  return serializeSnapshot(snapshot);
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} name
+ * @returns {boolean} Whether the snapshot existed
+ */
+function deleteSnapshot(name) {
+  const file = snapshotFile(name);
+  if (!file || !fs.existsSync(file)) return false;
+
+  fs.rmSync(file);
+  return true;
+}
+
+/**
+ * Run a function on a branch: a private fork of a snapshot's memory
+ * Nothing the function records is written to the snapshot or to live memory.
+ * @param {Object} snapshot - Snapshot from getSnapshot()
+ * @param {Function} fn - Async function to run on the branch
+ * @returns {Promise<*>} Result of fn
+ */
+function runOnBranch(snapshot, fn) {
+  return runWithMemoryFork(fn, {
+    cache: JSON.parse(JSON.stringify(snapshot.memory)),
+    label: `branch:${snapshot.name}`,
+    branch: snapshot.name
+  });
+}
+
+module.exports = {
+  SNAPSHOT_NAME_PATTERN,
+  getSnapshot,
+  createSnapshot,
+  listSnapshots,
+  restoreSnapshot,
+  deleteSnapshot,
+  runOnBranch
+};
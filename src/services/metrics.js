@@ -0,0 +1,109 @@
+/**
+ * Metrics - Prometheus counters and histograms for simulations and providers
+ *
+ * Exposed in the Prometheus text format on GET /metrics. Persona labels use
+ * the persona's name, which is bounded by the built-in persona set.
+ */
+
+const client = require('prom-client');
+const { getLiveTrustScores } = require('./enhancedMemory');
+
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const simulationDuration = new client.Histogram({
+  name: 'simulation_duration_seconds',
+  help: 'Wall time of one batched simulation turn',
+  labelNames: ['outcome'],
+  buckets: [0.5, 1, 2, 5, 10, 30, 60, 120, 300, 600],
+  registers: [register]
+});
+
+const providerLatency = new client.Histogram({
+  name: 'provider_persona_latency_seconds',
+  help: 'Latency of a single persona call to an AI provider, excluding scheduler waits',
+  labelNames: ['provider', 'persona'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 40, 60],
+  registers: [register]
+});
+
+const providerErrors = new client.Counter({
+  name: 'provider_errors_total',
+  help: 'Failed persona calls by provider and error type (rate_limit, timeout, server, network, parse_failure, other)',
+  labelNames: ['provider', 'type'],
+  registers: [register]
+});
+
+const fallbackDecisions = new client.Counter({
+  name: 'provider_fallback_decisions_total',
+  help: 'Decisions replaced by the fallback decision because the model response could not be parsed',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+const estimatedTokens = new client.Counter({
+  name: 'estimated_tokens_total',
+  help: 'Estimated tokens spent on persona calls',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+/**
+ * Trust bands match the trustDistribution in advanced responses
+ */
+function trustBand(trust) {
+  if (trust < 50) return 'low';
+  if (trust < 80) return 'medium';
+  return 'high';
+}
+
+// Read from live memory at scrape time; forks and branches are not counted
+new client.Gauge({
+  name: 'persona_trust_personas',
+  help: 'Personas per trust band (low < 50, medium < 80, high) in live memory',
+  labelNames: ['workspace', 'band'],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const { workspaceId, scores } of getLiveTrustScores()) {
+      const counts = { low: 0, medium: 0, high: 0 };
+      for (const trust of scores) counts[trustBand(trust)]++;
+      for (const [band, count] of Object.entries(counts)) {
+        this.set({ workspace: workspaceId, band }, count);
+      }
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'persona_trust_average',
+  help: 'Average persona trust score in live memory',
+  labelNames: ['workspace'],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const { workspaceId, scores } of getLiveTrustScores()) {
+      if (scores.length === 0) continue;
+      this.set({ workspace: workspaceId }, scores.reduce((a, b) => a + b, 0) / scores.length);
+    }
+  }
+});
+
+/**
+ * Count a model response that fell back to the default decision
+ * @param {string} provider - Provider name
+ */
+function recordParseFailure(provider) {
+  providerErrors.inc({ provider, type: 'parse_failure' });
+  fallbackDecisions.inc({ provider });
+}
+
+module.exports = {
+  register,
+  simulationDuration,
+  providerLatency,
+  providerErrors,
+  estimatedTokens,
+  recordParseFailure
+};
@@ -0,0 +1,231 @@
+/**
+ * Mock Provider - Offline, deterministic persona decisions
+ *
+ * Computes Buy/Skip/Switch decisions from persona stats and the generated
+ * context instead of calling an LLM. Intended for local development and
+ * Jest/Supertest suites that must run without network access.
+ */
+
+const config = require('../config');
+const { getEnhancedMemoryState } = require('./enhancedMemory');
+const { createRng, hashSeed } = require('./rng');
+const { createLogger } = require('./logger');
+
+const log = createLogger('mockProvider');
+
+const REFERENCE_PRICE = 5.0; // Price a first-time customer treats as "normal"
+
+class MockProvider {
+  /**
+   * @param {Object} options
+   * @param {number} [options.seed] - Seed for reproducible decisions (defaults to config.mock.seed)
+   */
+  constructor(options = {}) {
+    this.seed = options.seed !== undefined ? options.seed : config.mock.seed;
+    log.info('Initialized', { seed: this.seed });
+  }
+
+  /**
+   * Build a human-readable summary of the situation (kept for contract parity)
+   */
+  buildContextMessage(persona, context, price, quality, marketMomentum, event) {
+    return `${persona.name} sees $${price.toFixed(2)} at quality ${quality}/10 during "${event || 'Normal business hours'}"`;
+  }
+
+  /**
+   * Score how attractive buying is for this persona right now
+   * @returns {Object} { score, priceRatio, sensitivity }
+   */
+  scoreBuy(persona, context, price, quality, memoryState, random) {
+    const sensitivity = Number.isFinite(context.effectivePriceSensitivity)
+      ? context.effectivePriceSensitivity
+      : persona.priceSensitivity;
+
+    const referencePrice = memoryState.priceAnchoring.initialPrice || REFERENCE_PRICE;
+    const priceRatio = price / referencePrice;
+
+    let score = 0.5;
+    score += persona.brandLoyalty * 0.3;
+    score += (quality / 10 - persona.qualityThreshold) * 0.6;
+    score -= sensitivity * Math.max(0, priceRatio - 1) * 1.5;
+    score += sensitivity * Math.max(0, 1 - priceRatio) * 0.8;
+    score -= sensitivity * 0.2;
+    score += (memoryState.trust_score - 70) / 200;
+    score += (random() - 0.5) * 0.3;
+
+    return { score, priceRatio, sensitivity };
+  }
+
+  /**
+   * Pick menu items for a buying persona
+   * Price-sensitive personas take the cheapest affordable item; others pick
+   * at random, sometimes adding a second item or a second unit.
+   * @returns {Array<Object>} [{ item, quantity, reason }]
+   */
+  chooseBasket(persona, context, menu, sensitivity, random) {
+    const budget = context.financial.budgetRemaining;
+    const affordable = Object.entries(menu)
+      .filter(([, price]) => price <= budget)
+      .sort((a, b) => a[1] - b[1]);
+    if (affordable.length === 0) return [];
+
+    const [firstItem, firstPrice] = sensitivity > 0.6
+      ? affordable[0]
+      : affordable[Math.floor(random() * affordable.length)];
+    const quantity = random() < 0.15 && firstPrice * 2 <= budget ? 2 : 1;
+    const basket = [{
+      item: firstItem,
+      quantity,
+      reason: sensitivity > 0.6 ? `cheapest option at $${firstPrice.toFixed(2)}` : `felt like a ${firstItem}`
+    }];
+
+    const extras = affordable.filter(([item, price]) => item !== firstItem && firstPrice * quantity + price <= budget);
+    if (extras.length > 0 && random() < 0.35 * (1 - sensitivity)) {
+      const [item, price] = extras[Math.floor(random() * extras.length)];
+      basket.push({ item, quantity: 1, reason: `added a ${item} for $${price.toFixed(2)}` });
+    }
+
+    return basket;
+  }
+
+  /**
+   * Menu items that put a persona off: those priced above what it considers normal
+   * @returns {string[]}
+   */
+  findDrivingItems(menu, memoryState) {
+    const referencePrice = memoryState.priceAnchoring.initialPrice || REFERENCE_PRICE;
+    return Object.entries(menu)
+      .filter(([, price]) => price > referencePrice)
+      .sort((a, b) => b[1] - a[1])
+      .map(([item]) => item);
+  }
+
+  /**
+   * Simulate a single persona decision
+   * @param {Object} persona - Persona instance
+   * @param {Object} context - Generated context (from contextGenerator)
+   * @param {number} price - Current price
+   * @param {number} quality - Current quality
+   * @param {Object|null} marketMomentum - Market momentum data
+   * @param {number} turnNumber - Current turn number
+   * @param {string} event - Current event description
+   * @param {Object} businessState - Rich business context
+   * @returns {Promise<Object>} Decision result
+   */
+  async simulatePersona(persona, context, price, quality, marketMomentum, turnNumber, event, businessState = {}) {
+    const memoryState = getEnhancedMemoryState(persona.id);
+
+    // Seed per run, persona and turn so results don't depend on batch order
+    // but do differ between runs (and Monte Carlo replicates) with different seeds
+    const runSeed = context.metadata ? context.metadata.seed : undefined;
+    const random = createRng(hashSeed(this.seed, runSeed, persona.id, turnNumber));
+    const competitors = businessState.competitors || [];
+    // Competitors clearly cheaper than us pull price-driven switchers
+    const cheaper = competitors
+      .filter(c => c.price !== undefined && c.price < price * 0.95)
+      .sort((a, b) => a.price - b.price);
+
+    const { score, priceRatio, sensitivity } = this.scoreBuy(persona, context, price, quality, memoryState, random);
+    const overBudget = price > context.financial.budgetRemaining;
+    const service = context.service;
+    const lineTooLong = Boolean(service) && service.waitMinutes > service.toleranceMinutes;
+
+    let decision;
+    let reasoning;
+    if (memoryState.flags.isPermanentlyGone) {
+      decision = competitors.length > 0 ? 'Switch' : 'Skip';
+      reasoning = 'I have had enough bad experiences here and will not come back.';
+    } else if (overBudget) {
+      decision = 'Skip';
+      reasoning = `At $${price.toFixed(2)} it is more than the $${context.financial.budgetRemaining.toFixed(2)} I have left.`;
+    } else if (lineTooLong) {
+      decision = competitors.length > 0 && random() < 0.5 ? 'Switch' : 'Skip';
+      reasoning = `The line is about ${Math.round(service.waitMinutes)} minutes; I can't wait that long.`;
+    } else if (score >= 0.5) {
+      decision = 'Buy';
+      reasoning = `Quality ${quality}/10 at $${price.toFixed(2)} works for me today.`;
+    } else {
+      const switchLikelihood = (1 - persona.brandLoyalty) * 0.6 + persona.riskTolerance * 0.4 + (cheaper.length > 0 ? 0.2 : 0);
+      decision = competitors.length > 0 && random() < switchLikelihood ? 'Switch' : 'Skip';
+      reasoning = priceRatio > 1
+        ? `$${price.toFixed(2)} feels too steep for what I get.`
+        : `Quality ${quality}/10 does not meet what I expect.`;
+    }
+
+    let emotion;
+    if (decision === 'Buy') {
+      emotion = score >= 0.85 ? 'delighted' : score >= 0.6 ? 'satisfied' : 'neutral';
+    } else if (memoryState.flags.isPermanentlyGone || score < 0.1) {
+      emotion = 'angry';
+    } else if (lineTooLong) {
+      emotion = 'frustrated';
+    } else if (score < 0.35) {
+      emotion = 'frustrated';
+    } else {
+      emotion = 'neutral';
+    }
+
+    const perceivedRatio = priceRatio * (0.8 + 0.4 * sensitivity);
+    const pricePerception = perceivedRatio < 0.95 ? 'cheap' : perceivedRatio <= 1.1 ? 'fair' : 'expensive';
+
+    const result = {
+      personaId: persona.id,
+      personaName: persona.name,
+      archetype: persona.archetype,
+      decision,
+      reasoning,
+      emotion,
+      pricePerception,
+      personaDetails: {
+        backstory: persona.description,
+        quirks: persona.quirks,
+        stats: {
+          priceSensitivity: persona.priceSensitivity,
+          brandLoyalty: persona.brandLoyalty,
+          socialInfluence: persona.socialInfluenceWeight,
+          qualityFocus: persona.qualityThreshold
+        }
+      },
+      context: {
+        mood: context.emotional.currentMood,
+        budgetRemaining: context.financial.budgetRemaining,
+        trust: memoryState.trust_score
+      }
+    };
+
+    if (decision === 'Switch') {
+      result.targetId = cheaper.length > 0 && priceRatio > 1
+        ? cheaper[0].id
+        : competitors[Math.floor(random() * competitors.length)].id;
+    }
+
+    // Item-level choices draw from their own stream so menu-less runs are unchanged
+    const menu = businessState.productChanges || {};
+    if (Object.keys(menu).length > 0) {
+      const basketRandom = createRng(hashSeed(this.seed, runSeed, persona.id, turnNumber, 'basket'));
+
+      if (decision === 'Buy') {
+        result.basket = this.chooseBasket(persona, context, menu, sensitivity, basketRandom);
+        if (result.basket.length > 0) {
+          result.reasoning = `${result.reasoning} Getting ${result.basket.map(l => `${l.quantity}x ${l.item}`).join(' and ')}.`;
+        }
+      } else if (!memoryState.flags.isPermanentlyGone) {
+        result.drivingItems = this.findDrivingItems(menu, memoryState);
+        if (result.drivingItems.length > 0) {
+          result.reasoning = `${result.reasoning} $${menu[result.drivingItems[0]].toFixed(2)} for a ${result.drivingItems[0]} is more than I'd pay.`;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get provider name
+   */
+  getName() {
+    return 'mock';
+  }
+}
+
+module.exports = MockProvider;
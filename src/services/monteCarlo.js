@@ -0,0 +1,151 @@
+/**
+ * Monte Carlo Runner - Replicate simulations with uncertainty ranges
+ *
+ * Runs the same scenario N times. Every replicate gets its own seed (so
+ * independent context draws) and its own forked, non-persisted copy of
+ * memory, then the replicates are aggregated into means, percentiles and
+ * confidence intervals.
+ */
+
+const { processBatchedSimulation } = require('./batchProcessor');
+const { batchOptionsFor, summarizeFinancials } = require('./advancedRunner');
+const { runWithMemoryFork, forkEnhancedMemory } = require('./enhancedMemory');
+const { hashSeed, generateSeed } = require('./rng');
+const { createLogger } = require('./logger');
+
+const log = createLogger('monteCarlo');
+
+// Two-sided z-scores for supported confidence levels
+const Z_SCORES = { 0.8: 1.282, 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+
+/**
+ * Percentile with linear interpolation
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Summarize a sample of values
+ * @param {number[]} values - One value per replicate
+ * @param {number} confidenceLevel - 0.8, 0.9, 0.95 or 0.99
+ * @returns {Object} { mean, stdDev, min, max, percentiles, confidenceInterval }
+ */
+function summarizeSamples(values, confidenceLevel = 0.95) {
+  const n = values.length;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = n > 0 ? values.reduce((a, b) => a + b, 0) / n : 0;
+  const variance = n > 1 ? values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (n - 1) : 0;
+  const stdDev = Math.sqrt(variance);
+  const margin = (Z_SCORES[confidenceLevel] || Z_SCORES[0.95]) * (n > 0 ? stdDev / Math.sqrt(n) : 0);
+
+  const round = (v) => parseFloat(v.toFixed(4));
+
+  return {
+    mean: round(mean),
+    stdDev: round(stdDev),
+    min: round(sorted[0] || 0),
+    max: round(sorted[n - 1] || 0),
+    percentiles: {
+      p5: round(percentile(sorted, 5)),
+      p25: round(percentile(sorted, 25)),
+      p50: round(percentile(sorted, 50)),
+      p75: round(percentile(sorted, 75)),
+      p95: round(percentile(sorted, 95))
+    },
+    confidenceInterval: {
+      level: confidenceLevel,
+      lower: round(mean - margin),
+      upper: round(mean + margin)
+    }
+  };
+}
+
+/**
+ * Run N replicate simulations of one scenario
+ * Revenue and net profit come from the same P&L model as advanced runs.
+ * @param {Object} inputs - { price, quality, event, turnNumber, businessState, financials?, socialGraph? }
+ * @param {Object} options
+ * @param {number} options.replicates - Number of replicates
+ * @param {number|string} [options.seed] - Base seed; replicate seeds are derived from it
+ * @param {number} [options.confidenceLevel] - Confidence level for intervals
+ * @returns {Promise<Object>} Aggregated statistics plus per-replicate summaries
+ */
+async function runMonteCarlo(inputs, options) {
+  const { price, quality, event, turnNumber, businessState, financials } = inputs;
+  const { replicates, confidenceLevel = 0.95 } = options;
+  const seed = options.seed !== undefined ? options.seed : generateSeed();
+
+  // Every replicate starts from the same memory, not from the previous replicate
+  const baseMemory = forkEnhancedMemory();
+  const runs = [];
+
+  for (let i = 0; i < replicates; i++) {
+    const replicateSeed = hashSeed(seed, 'replicate', i);
+    log.info('Running replicate', { replicate: i + 1, replicates, seed: replicateSeed });
+
+    const result = await runWithMemoryFork(
+      () => processBatchedSimulation(price, quality, event, turnNumber, businessState, { ...batchOptionsFor(inputs), seed: replicateSeed }),
+      { cache: JSON.parse(JSON.stringify(baseMemory)), label: `replicate-${i + 1}` }
+    );
+
+    if (!result.success) {
+      throw new Error(`Replicate ${i + 1} failed: ${result.error || 'Unknown error'}`);
+    }
+
+    const { profitAndLoss } = summarizeFinancials(result.results, { price, businessState, financials });
+
+    runs.push({
+      replicate: i + 1,
+      seed: replicateSeed,
+      summary: result.summary,
+      revenue: profitAndLoss.revenue.gross,
+      netProfit: profitAndLoss.netProfit,
+      archetypeBreakdown: result.archetypeBreakdown
+    });
+  }
+
+  // Per-archetype rate samples
+  const archetypes = [...new Set(runs.flatMap(r => Object.keys(r.archetypeBreakdown)))];
+  const archetypeStats = {};
+  for (const archetype of archetypes) {
+    const rateOf = (key) => runs.map(r => {
+      const breakdown = r.archetypeBreakdown[archetype];
+      return breakdown && breakdown.total > 0 ? breakdown[key] / breakdown.total : 0;
+    });
+    archetypeStats[archetype] = {
+      buyRate: summarizeSamples(rateOf('buy'), confidenceLevel),
+      skipRate: summarizeSamples(rateOf('skip'), confidenceLevel),
+      switchRate: summarizeSamples(rateOf('switch'), confidenceLevel)
+    };
+  }
+
+  return {
+    seed,
+    replicates,
+    confidenceLevel,
+    statistics: {
+      buyRate: summarizeSamples(runs.map(r => r.summary.buyRate), confidenceLevel),
+      skipRate: summarizeSamples(runs.map(r => r.summary.skipRate), confidenceLevel),
+      switchRate: summarizeSamples(runs.map(r => r.summary.switchRate), confidenceLevel),
+      revenue: summarizeSamples(runs.map(r => r.revenue), confidenceLevel),
+      netProfit: summarizeSamples(runs.map(r => r.netProfit), confidenceLevel)
+    },
+    archetypeStats,
+    runs
+  };
+}
+
+module.exports = {
+  runMonteCarlo,
+  summarizeSamples,
+  percentile,
+  Z_SCORES
+};
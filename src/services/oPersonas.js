@@ -375,4 +375,26 @@ const OPENAI_PERSONAS = [
   }
 ];
 
-module.exports = { OPENAI_PERSONAS };
+/**
+ * Build the system instructions for a persona
+ * Mirrors the cafe customer template the OpenAI Agents are configured with,
+ * for providers that have no hosted assistant to hold it.
+ * @param {Object} persona - Persona instance
+ * @returns {string} System instructions
+ */
+function buildPersonaInstructions(persona) {
+  return `You are ${persona.name}, a ${persona.archetype} and a regular customer of a local cafe.
+
+Who you are: ${persona.description}
+Quirks: ${persona.quirks}
+Budget range: $${persona.budgetRange[0]}-$${persona.budgetRange[1]}
+Preferred visit times: ${persona.preferredTimes.join(', ')}
+${persona.valuesSpeed ? 'You value speed and hate waiting.' : 'You are not in a hurry.'}
+${persona.valuesQuality ? 'You care about the quality of what you buy.' : 'Quality is secondary to price and convenience for you.'}
+
+Every message describes your current situation. Stay in character, remember your
+earlier visits, and decide whether to Buy, Skip, or Switch to a competitor.
+Always answer with a single JSON object and nothing else.`;
+}
+
+module.exports = { OPENAI_PERSONAS, buildPersonaInstructions };
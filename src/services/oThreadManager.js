@@ -6,20 +6,48 @@
  */
 
 const { getOpenAIClient } = require('./oaClient');
+const { parseDecisionResponse, FALLBACK_DECISION } = require('./decisionParser');
+const { getMemoryScope } = require('./enhancedMemory');
+const { getSignal, CancelledError } = require('./cancellation');
+const { getWorkspaceId, workspaceEvents } = require('./workspaces');
+const { recordParseFailure } = require('./metrics');
+const { createLogger } = require('./logger');
 
-// In-memory thread storage: personaId -> threadId
+const log = createLogger('openaiThreads');
+
+// In-memory thread storage: workspaceId -> (personaId -> threadId)
 // For production, consider using Redis or database for persistence
-const threadMap = new Map();
+const threadMaps = new Map();
+
+workspaceEvents.on('deleted', (workspaceId) => threadMaps.delete(workspaceId));
+
+/**
+ * Thread map of the active workspace
+ * @returns {Map} personaId -> threadId
+ */
+function getThreadMap() {
+  const workspaceId = getWorkspaceId();
+  if (!threadMaps.has(workspaceId)) {
+    threadMaps.set(workspaceId, new Map());
+  }
+  return threadMaps.get(workspaceId);
+}
 
 /**
  * Get or create a thread for a persona
+ * Inside a memory fork, threads are private to the fork: Assistants threads
+ * can't be copied, so the fork starts a fresh one instead of appending to the
+ * persona's real conversation.
  * @param {number} personaId - Persona ID
  * @returns {Promise<string>} Thread ID
  */
 async function getOrCreateThread(personaId) {
+  const scope = getMemoryScope();
+  const threads = scope ? scope.threads : getThreadMap();
+
   // Check if thread already exists
-  if (threadMap.has(personaId)) {
-    return threadMap.get(personaId);
+  if (threads.has(personaId)) {
+    return threads.get(personaId);
   }
 
   // Create new thread
@@ -32,8 +60,8 @@ async function getOrCreateThread(personaId) {
   });
 
   // Store thread ID
-  threadMap.set(personaId, thread.id);
-  console.log(`[OAAgentManager] Created thread ${thread.id} for persona ${personaId}`);
+  threads.set(personaId, thread.id);
+  log.info('Created thread', { threadId: thread.id, personaId, fork: scope ? scope.label : undefined });
 
   return thread.id;
 }
@@ -61,21 +89,30 @@ async function addMessage(threadId, content) {
 async function runAgent(threadId, agentId) {
   const openai = getOpenAIClient();
 
-  console.log(`[OAAgentManager] runAgent called with threadId=${threadId}, agentId=${agentId}`);
+  log.debug('Starting run', { threadId, agentId });
 
   // Create run
   const run = await openai.beta.threads.runs.create(threadId, {
     assistant_id: agentId
   });
 
-  console.log(`[OAAgentManager] runAgent: runId=${run.id}, threadId=${threadId}`);
+  log.debug('Run created', { runId: run.id, threadId });
   // Poll for completion
   let runStatus = await openai.beta.threads.runs.retrieve(run.id, { thread_id: threadId });
   let attempts = 0;
   const maxAttempts = 60; // 60 seconds max
 
+  const signal = getSignal();
+
   while (runStatus.status !== 'completed' && attempts < maxAttempts) {
     await new Promise(resolve => setTimeout(resolve, 1000));
+
+    // Cancel the in-flight run when the simulation it belongs to is cancelled
+    if (signal && signal.aborted) {
+      await cancelRun(threadId, run.id);
+      throw new CancelledError();
+    }
+
     runStatus = await openai.beta.threads.runs.retrieve(run.id, { thread_id: threadId });
     attempts++;
 
@@ -117,24 +154,29 @@ async function runAgent(threadId, agentId) {
 
   // Parse JSON response
   try {
-    // Try to extract JSON from markdown code blocks if present
-    let jsonText = responseText;
-    const jsonMatch = responseText.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-    if (jsonMatch) {
-      jsonText = jsonMatch[1];
-    }
-
-    const decision = JSON.parse(jsonText);
-    return decision;
+    return parseDecisionResponse(responseText);
   } catch (parseError) {
-    console.error(`[OAAgentManager] Failed to parse JSON response:`, responseText);
+    log.warn('Failed to parse JSON response, using fallback decision', { provider: 'openai', threadId, responseText });
+    recordParseFailure('openai');
     // Fallback decision
-    return {
-      decision: 'Skip',
-      reasoning: 'Unable to parse agent response',
-      emotion: 'neutral',
-      pricePerception: 'unknown'
-    };
+    return { ...FALLBACK_DECISION };
+  }
+}
+
+/**
+ * Cancel an in-flight run
+ * @param {string} threadId - Thread ID
+ * @param {string} runId - Run ID
+ * @returns {Promise<void>}
+ */
+async function cancelRun(threadId, runId) {
+  const openai = getOpenAIClient();
+  try {
+    await openai.beta.threads.runs.cancel(runId, { thread_id: threadId });
+    log.info('Cancelled run', { runId, threadId });
+  } catch (error) {
+    // The run may have finished in the meantime
+    log.error('Failed to cancel run', { runId, threadId, error: error.message });
   }
 }
 
@@ -148,36 +190,37 @@ async function runAgent(threadId, agentId) {
  */
 async function sendMessageAndRun(threadId, agentId, message, personaId) {
   try {
-    console.log(`[OAAgentManager] sendMessageAndRun: personaId=${personaId}, threadId=${threadId}, agentId=${agentId}`);
+    log.debug('Sending message', { personaId, threadId, agentId });
     await addMessage(threadId, message);
-    console.log(`[OAAgentManager] Message added for persona ${personaId}, calling runAgent...`);
+    log.debug('Message added, starting run', { personaId, threadId });
     const decision = await runAgent(threadId, agentId);
     return decision;
   } catch (error) {
-    console.error(`[OAAgentManager] Error for persona ${personaId}:`, error.message);
+    log.error('Error running persona', { personaId, error: error.message });
     throw error;
   }
 }
 
 /**
- * Clear all threads (useful for testing/reset)
+ * Clear the active workspace's threads (useful for testing/reset)
  */
 function clearThreads() {
-  threadMap.clear();
-  console.log('[OAAgentManager] All threads cleared');
+  getThreadMap().clear();
+  log.info('Cleared threads');
 }
 
 /**
  * Get thread count
  */
 function getThreadCount() {
-  return threadMap.size;
+  return getThreadMap().size;
 }
 
 module.exports = {
   getOrCreateThread,
   addMessage,
   runAgent,
+  cancelRun,
   sendMessageAndRun,
   clearThreads,
   getThreadCount
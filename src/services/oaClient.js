@@ -4,6 +4,9 @@
 
 const OpenAI = require('openai');
 const config = require('../config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('openaiClient');
 
 let openaiClient = null;
 
@@ -23,7 +26,7 @@ function getOpenAIClient() {
       maxRetries: 2
     });
 
-    console.log('[OAClient] OpenAI client initialized');
+    log.info('OpenAI client initialized');
   }
 
   return openaiClient;
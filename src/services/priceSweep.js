@@ -0,0 +1,135 @@
+/**
+ * Price Sweep - Demand curve and elasticity across a price range
+ *
+ * Runs processBatchedSimulation at evenly spaced price points. Every point
+ * starts from the same sandboxed memory snapshot and uses the same seed, so
+ * price is the only thing that changes between points and persistent memory
+ * is never touched.
+ */
+
+const { processBatchedSimulation } = require('./batchProcessor');
+const { batchOptionsFor, summarizeFinancials } = require('./advancedRunner');
+const { runWithMemoryFork, forkEnhancedMemory } = require('./enhancedMemory');
+const { generateSeed } = require('./rng');
+const { createLogger } = require('./logger');
+
+const log = createLogger('priceSweep');
+
+/**
+ * Evenly spaced price points, rounded to cents
+ * @param {number} minPrice - Lowest price
+ * @param {number} maxPrice - Highest price
+ * @param {number} steps - Number of points (>= 2)
+ * @returns {number[]}
+ */
+function buildPricePoints(minPrice, maxPrice, steps) {
+  const stepSize = (maxPrice - minPrice) / (steps - 1);
+  return Array.from({ length: steps }, (_, i) => Math.round((minPrice + stepSize * i) * 100) / 100);
+}
+
+/**
+ * Menu repriced so that its average matches a price point
+ * Items keep their price relative to each other.
+ * @param {Object} menu - item -> price
+ * @param {number} price - Price point
+ * @returns {Object} item -> price
+ */
+function scaleMenu(menu, price) {
+  const prices = Object.values(menu);
+  if (prices.length === 0) return menu;
+
+  const average = prices.reduce((a, b) => a + b, 0) / prices.length;
+  return Object.fromEntries(Object.entries(menu).map(([item, p]) => [item, Math.round(p * price / average * 100) / 100]));
+}
+
+/**
+ * Midpoint (arc) elasticity between two points of the demand curve
+ * @returns {number|null} Elasticity, or null when it is undefined
+ */
+function calculateElasticity(from, to) {
+  const avgQuantity = (from.buyCount + to.buyCount) / 2;
+  const avgPrice = (from.price + to.price) / 2;
+  if (avgQuantity === 0 || to.price === from.price) return null;
+
+  const quantityChange = (to.buyCount - from.buyCount) / avgQuantity;
+  const priceChange = (to.price - from.price) / avgPrice;
+  return parseFloat((quantityChange / priceChange).toFixed(3));
+}
+
+/**
+ * Run a price sweep
+ * With a menu, every item is repriced with the sweep (see scaleMenu).
+ * Revenue and net profit come from the same P&L model as advanced runs.
+ * @param {Object} inputs - { quality, event, turnNumber, businessState, financials?, socialGraph? }
+ * @param {Object} options
+ * @param {number} options.minPrice - Lowest price
+ * @param {number} options.maxPrice - Highest price
+ * @param {number} options.steps - Number of price points
+ * @param {number|string} [options.seed] - Seed shared by every point
+ * @returns {Promise<Object>} Demand curve, optimal price and elasticities
+ */
+async function runPriceSweep(inputs, options) {
+  const { quality, event, turnNumber, businessState, financials } = inputs;
+  const { minPrice, maxPrice, steps } = options;
+  const seed = options.seed !== undefined ? options.seed : generateSeed();
+
+  const baseMemory = forkEnhancedMemory();
+  const prices = buildPricePoints(minPrice, maxPrice, steps);
+  const demandCurve = [];
+
+  for (const price of prices) {
+    log.info('Simulating price point', { price });
+
+    const pointState = { ...businessState, productChanges: scaleMenu(businessState.productChanges, price) };
+
+    const result = await runWithMemoryFork(
+      () => processBatchedSimulation(price, quality, event, turnNumber, pointState, { ...batchOptionsFor(inputs), seed }),
+      { cache: JSON.parse(JSON.stringify(baseMemory)), label: `sweep-${price}` }
+    );
+
+    if (!result.success) {
+      throw new Error(`Simulation at $${price.toFixed(2)} failed: ${result.error || 'Unknown error'}`);
+    }
+
+    const { profitAndLoss } = summarizeFinancials(result.results, { price, businessState: pointState, financials });
+
+    demandCurve.push({
+      price,
+      buyCount: result.summary.buyCount,
+      skipCount: result.summary.skipCount,
+      switchCount: result.summary.switchCount,
+      buyRate: result.summary.buyRate,
+      skipRate: result.summary.skipRate,
+      switchRate: result.summary.switchRate,
+      menu: Object.keys(pointState.productChanges).length > 0 ? pointState.productChanges : undefined,
+      expectedRevenue: profitAndLoss.revenue.gross,
+      netProfit: profitAndLoss.netProfit
+    });
+  }
+
+  const elasticity = [];
+  for (let i = 1; i < demandCurve.length; i++) {
+    elasticity.push({
+      fromPrice: demandCurve[i - 1].price,
+      toPrice: demandCurve[i].price,
+      elasticity: calculateElasticity(demandCurve[i - 1], demandCurve[i])
+    });
+  }
+
+  const optimal = demandCurve.reduce((best, point) => point.expectedRevenue > best.expectedRevenue ? point : best, demandCurve[0]);
+
+  return {
+    seed,
+    demandCurve,
+    revenueMaximizingPrice: optimal.price,
+    maxExpectedRevenue: optimal.expectedRevenue,
+    elasticity
+  };
+}
+
+module.exports = {
+  runPriceSweep,
+  buildPricePoints,
+  scaleMenu,
+  calculateElasticity
+};
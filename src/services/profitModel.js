@@ -0,0 +1,111 @@
+/**
+ * Profit Model - Revenue, cost and profit of one simulated turn
+ *
+ * Each persona stands for config.finance.customersPerPersona real visits, so
+ * a turn's revenue is on the same scale as the weekly roster and tactic
+ * costs. Cost of goods and tactic costs come from the request's `financials`
+ * block and fall back to config.finance defaults.
+ */
+
+const config = require('../config');
+
+const cents = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Cost of goods for one unit of a menu item
+ * @param {string} item - Menu item name
+ * @param {number} price - Item price
+ * @param {Object} cogs - item -> unit cost overrides
+ * @returns {number}
+ */
+function unitCost(item, price, cogs = {}) {
+  return cogs[item] !== undefined ? cogs[item] : price * config.finance.cogsRatio;
+}
+
+/**
+ * Build the P&L block for a turn
+ * With a menu, revenue and cost of goods come from each buyer's basket (see
+ * basket.summarizeItems). Without one, and for buyers whose basket was
+ * empty, a purchase is one item at the simulated price costing the average
+ * unit cost of the menu.
+ * @param {Array<Object>} results - Persona results of the turn
+ * @param {Object} options
+ * @param {number} options.price - Simulated price
+ * @param {Object} options.businessState - { employees, marketingTactics, productChanges }
+ * @param {Object} [options.financials] - { customersPerPersona, cogs, marketingCosts }
+ * @param {Object} [options.menuPerformance] - Item demand from basket.summarizeItems
+ * @returns {Object} Revenue, costs, profit and margin
+ */
+function calculateProfitAndLoss(results, { price, businessState, financials = {}, menuPerformance }) {
+  const customersPerPersona = financials.customersPerPersona || config.finance.customersPerPersona;
+
+  const menu = Object.entries(businessState.productChanges || {});
+  const costPerUnit = menu.length > 0
+    ? menu.reduce((sum, [item, itemPrice]) => sum + unitCost(item, itemPrice, financials.cogs), 0) / menu.length
+    : price * config.finance.cogsRatio;
+
+  const byItem = menuPerformance
+    ? Object.entries(menuPerformance.items).map(([item, demand]) => {
+      const units = demand.units * customersPerPersona;
+      const revenue = demand.revenue * customersPerPersona;
+      const goods = units * unitCost(item, demand.price, financials.cogs);
+      return { item, units, revenue: cents(revenue), goods: cents(goods), grossProfit: cents(revenue - goods) };
+    })
+    : [];
+
+  // Buyers not covered by a basket buy one item at the simulated price
+  const flatBuyers = menuPerformance
+    ? menuPerformance.buyersWithoutBasket
+    : results.filter(r => !r.error && r.decision === 'Buy').length;
+  const flatUnits = flatBuyers * customersPerPersona;
+
+  const units = flatUnits + byItem.reduce((sum, line) => sum + line.units, 0);
+  const revenue = flatUnits * price + byItem.reduce((sum, line) => sum + line.revenue, 0);
+  const goods = flatUnits * costPerUnit + byItem.reduce((sum, line) => sum + line.goods, 0);
+
+  const labourByEmployee = (businessState.employees || []).map(e => ({
+    name: e.name,
+    hours: e.hours || 0,
+    rate: e.rate || 0,
+    cost: cents((e.hours || 0) * (e.rate || 0))
+  }));
+  const labour = labourByEmployee.reduce((sum, e) => sum + e.cost, 0);
+
+  const marketingCosts = financials.marketingCosts || {};
+  const marketingByTactic = (businessState.marketingTactics || []).map(tactic => ({
+    tactic,
+    cost: cents(marketingCosts[tactic] !== undefined ? marketingCosts[tactic] : config.finance.tacticCost)
+  }));
+  const marketing = marketingByTactic.reduce((sum, t) => sum + t.cost, 0);
+
+  const grossProfit = revenue - goods;
+  const netProfit = grossProfit - labour - marketing;
+
+  return {
+    revenue: {
+      gross: cents(revenue),
+      units,
+      averagePrice: units > 0 ? cents(revenue / units) : cents(price)
+    },
+    costs: {
+      goods: cents(goods),
+      labour: cents(labour),
+      marketing: cents(marketing),
+      total: cents(goods + labour + marketing)
+    },
+    grossProfit: cents(grossProfit),
+    netProfit: cents(netProfit),
+    margin: revenue > 0 ? parseFloat((netProfit / revenue).toFixed(4)) : null,
+    byItem,
+    labourByEmployee,
+    marketingByTactic,
+    assumptions: {
+      customersPerPersona,
+      costPerUnit: cents(costPerUnit)
+    }
+  };
+}
+
+module.exports = {
+  calculateProfitAndLoss
+};
@@ -1,5 +1,8 @@
 const { getAllPersonas } = require('./persona');
 const { getMemoryState, applyTrustModifier, checkGrudgeEffect } = require('./memory');
+const { buildPersonaInstructions } = require('./oPersonas');
+
+const EXPECTED_OUTPUT_TOKENS = 200; // Typical JSON decision with a short reasoning
 
 
 function buildBatchPrompt(price, event, options = {}) {
@@ -127,6 +130,21 @@ function estimateTokens(prompt) {
   return Math.ceil(prompt.length / 4);
 }
 
+/**
+ * Estimate the token cost of one persona decision
+ * Counts the persona's system instructions, the context message (once per
+ * replayed history turn, since providers resend past turns) and the reply.
+ * @param {Object} persona - Persona instance
+ * @param {string} message - Context message for this turn
+ * @param {number} historyTurns - Past turns the provider sends along
+ * @returns {number} Estimated token count
+ */
+function estimatePersonaTokens(persona, message, historyTurns = 0) {
+  return estimateTokens(buildPersonaInstructions(persona))
+    + estimateTokens(message) * (1 + historyTurns)
+    + EXPECTED_OUTPUT_TOKENS;
+}
+
 /**
  * Validate prompt parameters
  * @param {number} price - Product price
@@ -167,6 +185,7 @@ function buildAndValidate(price, event) {
 module.exports = {
   buildBatchPrompt,
   estimateTokens,
+  estimatePersonaTokens,
   validatePromptParams,
   buildAndValidate
 };
@@ -0,0 +1,98 @@
+/**
+ * Provider Errors - Classify failures coming back from AI backends
+ */
+
+const RETRYABLE_TYPES = ['rate_limit', 'timeout', 'server', 'network'];
+
+/**
+ * Classify a provider error
+ * Handles OpenAI SDK errors, Gemini fetch errors, failed Assistants runs
+ * (which only carry a message) and low-level network errors.
+ * @param {Error} error - Error thrown by a provider call
+ * @returns {string} 'rate_limit' | 'timeout' | 'server' | 'network' | 'other'
+ */
+function classifyError(error) {
+  if (!error) return 'other';
+
+  const status = error.status || error.statusCode;
+  const message = (error.message || '').toLowerCase();
+  const errorClass = error.constructor ? error.constructor.name : error.name;
+
+  if (status === 429 || /rate limit|tokens per min|requests per min|quota|resource_exhausted|too many requests/.test(message)) {
+    return 'rate_limit';
+  }
+
+  if (errorClass === 'APIConnectionTimeoutError' || error.code === 'ETIMEDOUT' || /timed out|timeout|expired/.test(message)) {
+    return 'timeout';
+  }
+
+  if (status >= 500 || /overloaded|unavailable|internal error/.test(message)) {
+    return 'server';
+  }
+
+  if (errorClass === 'APIConnectionError' || ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)) {
+    return 'network';
+  }
+
+  return 'other';
+}
+
+/**
+ * Whether a failed persona call is worth retrying on another provider
+ * @param {Error} error - Error thrown by a provider call
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  return RETRYABLE_TYPES.includes(classifyError(error));
+}
+
+/**
+ * Read a retry-after hint from a provider error
+ * Checks retry-after(-ms) headers (OpenAI), RetryInfo details (Gemini) and
+ * "try again in 1.2s" style messages (failed Assistants runs).
+ * @param {Error} error - Error thrown by a provider call
+ * @returns {number|null} Milliseconds to wait, or null when no hint is present
+ */
+function getRetryAfterMs(error) {
+  if (!error) return null;
+
+  const headers = error.headers;
+  const readHeader = (name) => {
+    if (!headers) return null;
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  };
+
+  const retryAfterMs = parseFloat(readHeader('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = readHeader('retry-after');
+  if (retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (Number.isFinite(date)) return Math.max(0, date - Date.now());
+  }
+
+  if (Array.isArray(error.errorDetails)) {
+    const retryInfo = error.errorDetails.find(d => d['@type'] && d['@type'].endsWith('RetryInfo'));
+    if (retryInfo && retryInfo.retryDelay) {
+      const seconds = parseFloat(retryInfo.retryDelay);
+      if (Number.isFinite(seconds)) return seconds * 1000;
+    }
+  }
+
+  const match = (error.message || '').match(/try again in (\d+(?:\.\d+)?)\s*(ms|s)/i);
+  if (match) {
+    const value = parseFloat(match[1]);
+    return match[2].toLowerCase() === 'ms' ? value : value * 1000;
+  }
+
+  return null;
+}
+
+module.exports = {
+  classifyError,
+  isRetryableError,
+  getRetryAfterMs,
+  RETRYABLE_TYPES
+};
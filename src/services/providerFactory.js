@@ -3,23 +3,55 @@
  */
 
 const config = require('../config');
+const { ScheduledProvider } = require('./scheduler');
 
 /**
- * Get the configured AI provider instance
- * @returns {Object} Provider instance (GeminiProvider or OpenAIProvider)
+ * Create a single provider instance by type, without rate-limit scheduling
+ * @param {string} providerType - 'gemini', 'openai', 'local' or 'mock'
+ * @returns {Object} Provider instance (GeminiProvider, OpenAIProvider, LocalLLMProvider or MockProvider)
  */
-function getProvider() {
-  const providerType = config.ai.provider || 'gemini';
-
+function createRawProvider(providerType) {
   if (providerType === 'openai') {
     const OpenAIProvider = require('./oProvider');
     return new OpenAIProvider();
   } else if (providerType === 'gemini') {
     const { GeminiProvider } = require('./gemini');
     return new GeminiProvider();
+  } else if (providerType === 'local') {
+    const LocalLLMProvider = require('./localProvider');
+    return new LocalLLMProvider();
+  } else if (providerType === 'mock') {
+    const MockProvider = require('./mockProvider');
+    return new MockProvider();
   } else {
-    throw new Error(`Unknown AI provider: ${providerType}. Use 'gemini' or 'openai'`);
+    throw new Error(`Unknown AI provider: ${providerType}. Use 'gemini', 'openai', 'local' or 'mock'`);
+  }
+}
+
+/**
+ * Create a provider by type, routed through its rate-limit scheduler bucket
+ * @param {string} providerType - 'gemini', 'openai', 'local' or 'mock'
+ * @param {Object} [options] - Scheduler options, e.g. { maxRetries }
+ * @returns {ScheduledProvider} Scheduled provider instance
+ */
+function createProvider(providerType, options) {
+  return new ScheduledProvider(createRawProvider(providerType), options);
+}
+
+/**
+ * Get the configured AI provider instance
+ * Returns a FallbackProvider when AI_PROVIDER_CHAIN lists more than one provider.
+ * @returns {Object} Provider instance
+ */
+function getProvider() {
+  const chain = config.ai.fallbackChain;
+
+  if (chain.length > 1) {
+    const FallbackProvider = require('./fallbackProvider');
+    return new FallbackProvider(chain);
   }
+
+  return createProvider(chain[0] || config.ai.provider || 'gemini');
 }
 
-module.exports = { getProvider };
+module.exports = { getProvider, createProvider, createRawProvider };
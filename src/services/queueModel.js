@@ -0,0 +1,186 @@
+/**
+ * Queue Model - Service capacity and waiting times from the staff roster
+ *
+ * Treats each daypart as an M/M/c queue: arrivals come from the personas
+ * visiting in that daypart (their generated timeOfDay), scaled to real
+ * visits with config.finance.customersPerPersona and concentrated by the
+ * rush-hour peak factor; servers are the staff hours on that daypart. The
+ * expected wait is the Erlang C waiting time, capped at
+ * config.queue.maxWaitMinutes when the line grows without bound.
+ */
+
+const config = require('../config');
+
+// Opening hours per day in each daypart
+const DAYPART_HOURS = { morning: 4, lunch: 3, afternoon: 3, evening: 3 };
+const DAYPARTS = Object.keys(DAYPART_HOURS);
+
+const round = (v, digits = 2) => parseFloat(v.toFixed(digits));
+
+/**
+ * Probability an arrival has to wait in an M/M/c queue (Erlang C)
+ * @param {number} servers - c
+ * @param {number} load - Offered load a = lambda / mu
+ * @returns {number}
+ */
+function erlangC(servers, load) {
+  let term = 1; // a^k / k!
+  let sum = 1;
+  for (let k = 1; k < servers; k++) {
+    term *= load / k;
+    sum += term;
+  }
+  const top = term * (load / servers) / (1 - load / servers);
+  return top / (sum + top);
+}
+
+/**
+ * Staff hours per week on each daypart
+ * Employees work their hours across their listed dayparts (all dayparts when
+ * none are listed), in proportion to each daypart's length.
+ * @param {Array<Object>} employees - [{ hours, serviceRate?, dayparts? }]
+ * @returns {Object} daypart -> { staffHours, capacityPerHour }
+ */
+function allocateStaff(employees) {
+  const coverage = Object.fromEntries(DAYPARTS.map(d => [d, { staffHours: 0, servedPerWeek: 0 }]));
+
+  for (const employee of employees) {
+    const dayparts = employee.dayparts && employee.dayparts.length > 0 ? employee.dayparts : DAYPARTS;
+    const totalLength = dayparts.reduce((sum, d) => sum + DAYPART_HOURS[d], 0);
+    const serviceRate = employee.serviceRate || config.queue.serviceRate;
+
+    for (const daypart of dayparts) {
+      const hours = (employee.hours || 0) * DAYPART_HOURS[daypart] / totalLength;
+      coverage[daypart].staffHours += hours;
+      coverage[daypart].servedPerWeek += hours * serviceRate;
+    }
+  }
+
+  return coverage;
+}
+
+/**
+ * Expected wait in one daypart
+ * Fractional staffing is spread over whole servers with the same total
+ * service capacity (e.g. 1.5 staff-equivalents = 2 servers at 75% speed).
+ * @returns {Object} { servers, utilization, waitMinutes, overloaded }
+ */
+function daypartWait(arrivalsPerHour, staffHours, servedPerWeek, openHours) {
+  const staffEquivalent = staffHours / openHours;
+  const capacityPerHour = servedPerWeek / openHours;
+
+  if (arrivalsPerHour === 0) {
+    return { servers: round(staffEquivalent), utilization: 0, waitMinutes: 0, overloaded: false };
+  }
+  if (capacityPerHour === 0) {
+    return { servers: 0, utilization: null, waitMinutes: config.queue.maxWaitMinutes, overloaded: true };
+  }
+
+  const servers = Math.max(1, Math.ceil(staffEquivalent));
+  const serviceRate = capacityPerHour / servers;
+  const utilization = arrivalsPerHour / capacityPerHour;
+
+  if (utilization >= 1) {
+    return { servers: round(staffEquivalent), utilization: round(utilization), waitMinutes: config.queue.maxWaitMinutes, overloaded: true };
+  }
+
+  const waitHours = erlangC(servers, arrivalsPerHour / serviceRate) / (capacityPerHour - arrivalsPerHour);
+  return {
+    servers: round(staffEquivalent),
+    utilization: round(utilization),
+    waitMinutes: round(Math.min(config.queue.maxWaitMinutes, waitHours * 60), 1),
+    overloaded: false
+  };
+}
+
+/**
+ * How long a persona will stand in line before walking away
+ * @param {Object} persona
+ * @param {Object} context - Generated context
+ * @returns {number} Minutes
+ */
+function waitTolerance(persona, context) {
+  const tolerance = persona.valuesSpeed ? config.queue.speedWaitTolerance : config.queue.waitTolerance;
+  return context.temporal.isRushing ? tolerance / 2 : tolerance;
+}
+
+/**
+ * Build the queue model for a turn
+ * @param {Array<Object>} employees - Staff roster
+ * @param {Array<Object>} visits - [{ persona, context }] for every persona in the turn
+ * @param {Object} [options]
+ * @param {number} [options.customersPerPersona] - Real visits each persona stands for
+ * @returns {Object|null} { dayparts, waitFor(personaId) } or null without a roster
+ */
+function buildQueueModel(employees, visits, options = {}) {
+  if (!employees || employees.length === 0) return null;
+
+  const customersPerPersona = options.customersPerPersona || config.finance.customersPerPersona;
+  const coverage = allocateStaff(employees);
+
+  const dayparts = {};
+  for (const daypart of DAYPARTS) {
+    const arrivals = visits.filter(v => v.context.temporal.timeOfDay === daypart).length;
+    const openHours = DAYPART_HOURS[daypart] * config.queue.daysOpen;
+    const arrivalsPerHour = arrivals * customersPerPersona * config.queue.peakFactor / openHours;
+
+    dayparts[daypart] = {
+      personas: arrivals,
+      arrivalsPerHour: round(arrivalsPerHour),
+      ...daypartWait(arrivalsPerHour, coverage[daypart].staffHours, coverage[daypart].servedPerWeek, openHours)
+    };
+  }
+
+  const waits = new Map(visits.map(({ persona, context }) => {
+    const daypart = context.temporal.timeOfDay;
+    return [persona.id, {
+      daypart,
+      waitMinutes: dayparts[daypart] ? dayparts[daypart].waitMinutes : 0,
+      toleranceMinutes: waitTolerance(persona, context)
+    }];
+  }));
+
+  return {
+    dayparts,
+    waitFor: (personaId) => waits.get(personaId) || null
+  };
+}
+
+/**
+ * Balking report: personas who didn't buy while facing a line longer than they tolerate
+ * @param {Object} queue - From buildQueueModel
+ * @param {Array<Object>} results - Persona results with their wait attached
+ * @returns {Object} { dayparts, balked, balkRate, personas }
+ */
+function summarizeQueue(queue, results) {
+  const balkers = results.filter(r => !r.error && r.wait && r.wait.balked);
+  const byDaypart = {};
+  for (const r of balkers) byDaypart[r.wait.daypart] = (byDaypart[r.wait.daypart] || 0) + 1;
+
+  const dayparts = {};
+  for (const [daypart, stats] of Object.entries(queue.dayparts)) {
+    dayparts[daypart] = { ...stats, balked: byDaypart[daypart] || 0 };
+  }
+
+  return {
+    dayparts,
+    balked: balkers.length,
+    balkRate: results.length > 0 ? round(balkers.length / results.length, 4) : 0,
+    personas: balkers.map(r => ({
+      personaId: r.personaId,
+      personaName: r.personaName,
+      decision: r.decision,
+      daypart: r.wait.daypart,
+      waitMinutes: r.wait.waitMinutes,
+      toleranceMinutes: r.wait.toleranceMinutes
+    }))
+  };
+}
+
+module.exports = {
+  DAYPARTS,
+  DAYPART_HOURS,
+  erlangC,
+  buildQueueModel,
+  summarizeQueue
+};
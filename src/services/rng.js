@@ -0,0 +1,66 @@
+/**
+ * Seeded Random Number Generation
+ *
+ * Small, dependency-free PRNG (mulberry32) so simulations can be replayed.
+ */
+
+/**
+ * Hash any number of values into a 32-bit seed
+ * @param {...(string|number)} parts - Values to combine
+ * @returns {number} Unsigned 32-bit seed
+ */
+function hashSeed(...parts) {
+  let h = 2166136261;
+  const text = parts.join('|');
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create a seeded random function with the same contract as Math.random
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+function createRng(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed for runs that did not ask for one
+ * @returns {number} Unsigned 32-bit seed
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Fisher-Yates shuffle into a new array
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random source
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(items, random = Math.random) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+module.exports = {
+  createRng,
+  hashSeed,
+  generateSeed,
+  shuffle
+};
@@ -0,0 +1,196 @@
+/**
+ * Run Diff - What changed between two advanced simulation runs
+ *
+ * Works on two full advanced responses (e.g. last week's and today's). Inputs
+ * such as menu, staffing, tactics and competitors are only known for runs
+ * taken from history or when the caller passes them alongside a response;
+ * otherwise the input diff falls back to price, quality and event.
+ */
+
+const { diffArchetypes } = require('./scenarioComparison');
+
+const REASONING_EXCERPT_LENGTH = 280;
+
+const round = (v) => parseFloat(v.toFixed(4));
+
+/**
+ * Shorten reasoning for side-by-side display
+ * @param {string} reasoning
+ * @returns {string}
+ */
+function excerpt(reasoning = '') {
+  return reasoning.length > REASONING_EXCERPT_LENGTH
+    ? `${reasoning.slice(0, REASONING_EXCERPT_LENGTH - 3)}...`
+    : reasoning;
+}
+
+/**
+ * { before, after } when the values differ, otherwise undefined
+ */
+function changed(before, after) {
+  return JSON.stringify(before) === JSON.stringify(after) ? undefined : { before, after };
+}
+
+/**
+ * Added, removed and changed entries between two keyed collections
+ * @param {Array} before - Items of the earlier run
+ * @param {Array} after - Items of the later run
+ * @param {Function} keyOf - Item -> key
+ * @returns {Object} { added, removed, changed }
+ */
+function diffCollection(before = [], after = [], keyOf) {
+  const beforeMap = new Map(before.map(item => [keyOf(item), item]));
+  const afterMap = new Map(after.map(item => [keyOf(item), item]));
+
+  return {
+    added: after.filter(item => !beforeMap.has(keyOf(item))),
+    removed: before.filter(item => !afterMap.has(keyOf(item))),
+    changed: after
+      .filter(item => beforeMap.has(keyOf(item)) && changed(beforeMap.get(keyOf(item)), item))
+      .map(item => ({ key: keyOf(item), before: beforeMap.get(keyOf(item)), after: item }))
+  };
+}
+
+/**
+ * Differences in the business inputs of two runs
+ * @param {Object} before - { response, inputs }
+ * @param {Object} after - { response, inputs }
+ * @returns {Object} Only the inputs that changed
+ */
+function diffInputs(before, after) {
+  const a = before.inputs || {};
+  const b = after.inputs || {};
+
+  const diff = {
+    price: changed(before.response.simulation.price, after.response.simulation.price),
+    quality: changed(before.response.simulation.quality, after.response.simulation.quality),
+    event: changed(before.response.simulation.event, after.response.simulation.event)
+  };
+
+  // Richer inputs are only comparable when both runs have them
+  if (before.inputs && after.inputs) {
+    const menu = diffCollection(Object.entries(a.productChanges || {}), Object.entries(b.productChanges || {}), ([item]) => item);
+    diff.menu = {
+      added: Object.fromEntries(menu.added),
+      removed: Object.fromEntries(menu.removed),
+      changed: Object.fromEntries(menu.changed.map(c => [c.key, { before: c.before[1], after: c.after[1] }]))
+    };
+
+    const tactics = diffCollection(a.marketingTactics, b.marketingTactics, t => t);
+    diff.marketingTactics = { added: tactics.added, removed: tactics.removed };
+
+    diff.staffing = diffCollection(a.employees, b.employees, e => e.name);
+    const totalHours = (employees = []) => employees.reduce((sum, e) => sum + (e.hours || 0), 0);
+    diff.staffing.totalHours = changed(totalHours(a.employees), totalHours(b.employees));
+
+    diff.competitors = diffCollection(a.competitors, b.competitors, c => c.id);
+  }
+
+  return Object.fromEntries(Object.entries(diff).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Per-persona decision, emotion and trust changes
+ * Trust is the persona's trust going into each run.
+ * @returns {Object} { personas, flippedPersonas }
+ */
+function diffPersonas(beforeResults, afterResults) {
+  const beforeMap = new Map(beforeResults.map(r => [r.personaId, r]));
+  const personas = [];
+
+  for (const b of afterResults) {
+    const a = beforeMap.get(b.personaId);
+    if (!a) continue;
+
+    const trustBefore = a.context ? a.context.trust : undefined;
+    const trustAfter = b.context ? b.context.trust : undefined;
+
+    personas.push({
+      personaId: b.personaId,
+      personaName: b.personaName,
+      archetype: b.archetype,
+      decision: { before: a.decision, after: b.decision },
+      decisionChanged: a.decision !== b.decision,
+      emotion: { before: a.emotion, after: b.emotion },
+      emotionChanged: a.emotion !== b.emotion,
+      trustDelta: trustBefore !== undefined && trustAfter !== undefined ? round(trustAfter - trustBefore) : null
+    });
+  }
+
+  personas.sort((x, y) => x.personaId - y.personaId);
+
+  const flippedPersonas = personas
+    .filter(p => p.decisionChanged)
+    .map(p => ({
+      personaId: p.personaId,
+      personaName: p.personaName,
+      archetype: p.archetype,
+      before: { decision: p.decision.before, emotion: p.emotion.before, reasoning: excerpt(beforeMap.get(p.personaId).reasoning) },
+      after: { decision: p.decision.after, emotion: p.emotion.after, reasoning: excerpt(afterResults.find(r => r.personaId === p.personaId).reasoning) }
+    }));
+
+  return { personas, flippedPersonas };
+}
+
+/**
+ * Count deltas between two breakdowns (e.g. emotion counts)
+ */
+function diffCounts(before = {}, after = {}) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const deltas = {};
+  for (const key of keys) {
+    const delta = (after[key] || 0) - (before[key] || 0);
+    if (delta !== 0) deltas[key] = delta;
+  }
+  return deltas;
+}
+
+/**
+ * Diff two advanced simulation runs
+ * @param {Object} before - { label, response, inputs? } for the earlier run
+ * @param {Object} after - { label, response, inputs? } for the later run
+ * @returns {Object} Input, summary, persona, archetype and momentum differences
+ */
+function diffRuns(before, after) {
+  const { personas, flippedPersonas } = diffPersonas(
+    before.response.simulation.results,
+    after.response.simulation.results
+  );
+
+  const summaryBefore = before.response.summary;
+  const summaryAfter = after.response.summary;
+  const momentumBefore = before.response.momentum;
+  const momentumAfter = after.response.momentum;
+
+  return {
+    before: { label: before.label, turnNumber: before.response.turnNumber, timestamp: before.response.simulation.timestamp, seed: before.response.metadata?.seed },
+    after: { label: after.label, turnNumber: after.response.turnNumber, timestamp: after.response.simulation.timestamp, seed: after.response.metadata?.seed },
+    inputs: diffInputs(before, after),
+    summary: {
+      buyRate: round(summaryAfter.buyRate - summaryBefore.buyRate),
+      skipRate: round(summaryAfter.skipRate - summaryBefore.skipRate),
+      switchRate: round(summaryAfter.switchRate - summaryBefore.switchRate),
+      emotionBreakdown: diffCounts(summaryBefore.emotionBreakdown, summaryAfter.emotionBreakdown),
+      averageTrust: round(after.response.brandHealth.averageTrust - before.response.brandHealth.averageTrust),
+      // Older stored runs predate the P&L block
+      netProfit: before.response.profitAndLoss && after.response.profitAndLoss
+        ? round(after.response.profitAndLoss.netProfit - before.response.profitAndLoss.netProfit)
+        : undefined
+    },
+    momentum: {
+      leaving: round(momentumAfter.leaving - momentumBefore.leaving),
+      staying: round(momentumAfter.staying - momentumBefore.staying),
+      switching: round(momentumAfter.switching - momentumBefore.switching),
+      marketMood: { before: momentumBefore.marketMood, after: momentumAfter.marketMood, changed: momentumBefore.marketMood !== momentumAfter.marketMood }
+    },
+    archetypes: diffArchetypes(before.response.archetypeInsights, after.response.archetypeInsights),
+    decisionChanges: personas.filter(p => p.decisionChanged).length,
+    personas,
+    flippedPersonas
+  };
+}
+
+module.exports = {
+  diffRuns,
+  diffInputs
+};
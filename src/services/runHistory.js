@@ -0,0 +1,206 @@
+/**
+ * Run History - Persistent store of completed advanced simulation runs
+ *
+ * Each run is written to its own JSON file under the workspace's runs/
+ * directory, alongside a lightweight index used for listing and filtering.
+ * Indexes are loaded lazily and kept in memory; the oldest runs are pruned
+ * past config.history.maxRuns.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { getWorkspaceId, getWorkspaceDataDir, workspaceEvents } = require('./workspaces');
+const { createLogger } = require('./logger');
+
+const log = createLogger('runHistory');
+
+const RUN_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// workspaceId -> index entries, oldest first
+const indexes = new Map();
+
+workspaceEvents.on('deleted', (workspaceId) => indexes.delete(workspaceId));
+
+/**
+ * Runs directory of the active workspace
+ */
+function runsDir() {
+  return path.join(getWorkspaceDataDir(), 'runs');
+}
+
+/**
+ * Load the active workspace's run index from disk (once)
+ * @returns {Array<Object>} Index entries, oldest first
+ */
+function loadIndex() {
+  const workspaceId = getWorkspaceId();
+  if (indexes.has(workspaceId)) return indexes.get(workspaceId);
+
+  let index;
+  try {
+    if (!fs.existsSync(runsDir())) {
+      fs.mkdirSync(runsDir(), { recursive: true });
+    }
+
+    const indexFile = path.join(runsDir(), 'index.json');
+    index = fs.existsSync(indexFile)
+      ? JSON.parse(fs.readFileSync(indexFile, 'utf8'))
+      : [];
+  } catch (error) {
+    log.error('Error loading index', { error: error.message, stack: error.stack });
+    index = [];
+  }
+
+  indexes.set(workspaceId, index);
+  return index;
+}
+
+/**
+ * Write the active workspace's run index to disk
+ */
+function saveIndex() {
+  fs.writeFileSync(path.join(runsDir(), 'index.json'), JSON.stringify(loadIndex(), null, 2));
+}
+
+/**
+ * Path of a run's file
+ * @param {string} runId
+ * @returns {string|null} null when the ID is malformed
+ */
+function runFile(runId) {
+  return RUN_ID_PATTERN.test(runId) ? path.join(runsDir(), `${runId}.json`) : null;
+}
+
+/**
+ * Persist a completed run
+ * @param {Object} inputs - Validated request payload the run was started with
+ * @param {Object} response - Full advanced simulation response
+ * @returns {Object} Index entry for the stored run
+ */
+function saveRun(inputs, response) {
+  const index = loadIndex();
+
+  const { simulation, summary, metadata } = response;
+  const entry = {
+    runId: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    turnNumber: response.turnNumber,
+    branch: metadata.branch || null,
+    seed: metadata.seed,
+    provider: metadata.aiProvider,
+    price: simulation.price,
+    quality: simulation.quality,
+    event: simulation.event,
+    summary: {
+      totalPersonas: summary.totalPersonas,
+      buyCount: summary.buyCount,
+      skipCount: summary.skipCount,
+      switchCount: summary.switchCount,
+      errorCount: summary.errorCount
+    }
+  };
+
+  const record = { ...entry, inputs, response };
+  fs.writeFileSync(runFile(entry.runId), JSON.stringify(record, null, 2));
+
+  index.push(entry);
+  while (index.length > config.history.maxRuns) {
+    const oldest = index.shift();
+    fs.rmSync(runFile(oldest.runId), { force: true });
+  }
+  saveIndex();
+
+  return entry;
+}
+
+/**
+ * Whether an index entry matches the given filters
+ * @param {Object} entry - Index entry
+ * @param {Object} filters - { from, to, turn, provider, branch }
+ * @returns {boolean}
+ */
+function matchesFilters(entry, { from, to, turn, provider, branch } = {}) {
+  const createdAt = Date.parse(entry.createdAt);
+  if (from && createdAt < new Date(from).getTime()) return false;
+  if (to && createdAt > new Date(to).getTime()) return false;
+  if (turn !== undefined && entry.turnNumber !== turn) return false;
+  if (provider && entry.provider !== provider) return false;
+  if (branch && entry.branch !== branch) return false;
+  return true;
+}
+
+/**
+ * List stored runs, newest first
+ * @param {Object} filters - { from, to, turn, provider, branch }
+ * @param {Object} page - { limit, offset }
+ * @returns {Object} { total, runs }
+ */
+function listRuns(filters = {}, { limit = 50, offset = 0 } = {}) {
+  const matching = loadIndex()
+    .filter(entry => matchesFilters(entry, filters))
+    .reverse();
+
+  return {
+    total: matching.length,
+    runs: matching.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Fetch a stored run with its inputs and full response
+ * @param {string} runId
+ * @returns {Object|null}
+ */
+function getRun(runId) {
+  const file = runFile(runId);
+  if (!file || !fs.existsSync(file)) return null;
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Delete a stored run
+ * @param {string} runId
+ * @returns {boolean} Whether the run existed
+ */
+function deleteRun(runId) {
+  const index = loadIndex();
+
+  const position = index.findIndex(entry => entry.runId === runId);
+  if (position === -1) return false;
+
+  index.splice(position, 1);
+  fs.rmSync(runFile(runId), { force: true });
+  saveIndex();
+
+  return true;
+}
+
+/**
+ * Delete every stored run matching the filters (all runs when none are given)
+ * @param {Object} filters - { from, to, turn, provider, branch }
+ * @returns {number} Number of runs deleted
+ */
+function deleteRuns(filters = {}) {
+  const index = loadIndex();
+
+  const doomed = index.filter(entry => matchesFilters(entry, filters));
+  for (const entry of doomed) {
+    fs.rmSync(runFile(entry.runId), { force: true });
+  }
+
+  indexes.set(getWorkspaceId(), index.filter(entry => !doomed.includes(entry)));
+  saveIndex();
+
+  return doomed.length;
+}
+
+module.exports = {
+  saveRun,
+  listRuns,
+  getRun,
+  deleteRun,
+  deleteRuns
+};
@@ -0,0 +1,163 @@
+/**
+ * Scenario Comparison - Side-by-side A/B runs of full advanced scenarios
+ *
+ * Every scenario starts from the same memory snapshot and runs with the same
+ * seed, so differences come from the scenario inputs rather than from random
+ * context draws or from memory written by an earlier scenario.
+ */
+
+const { runAdvancedSimulation } = require('./advancedRunner');
+const { runWithMemoryFork, forkEnhancedMemory, getEnhancedMemoryState } = require('./enhancedMemory');
+const { generateSeed } = require('./rng');
+const { createLogger } = require('./logger');
+
+const log = createLogger('compare');
+
+const round = (v) => parseFloat(v.toFixed(4));
+
+/**
+ * Reduce an advanced response to the figures that get compared
+ * @param {string} name - Scenario name
+ * @param {Object} response - Advanced simulation response
+ * @param {number} averageTrust - Mean trust across personas after the scenario
+ * @returns {Object} Scenario summary
+ */
+function summarizeScenario(name, response, averageTrust) {
+  return {
+    name,
+    inputs: {
+      price: response.simulation.price,
+      quality: response.simulation.quality,
+      event: response.simulation.event
+    },
+    summary: response.summary,
+    revenue: response.profitAndLoss.revenue.gross,
+    netProfit: response.profitAndLoss.netProfit,
+    averageTrust,
+    brandHealth: response.brandHealth,
+    momentum: response.momentum,
+    archetypeInsights: response.archetypeInsights
+  };
+}
+
+/**
+ * Rate deltas for every archetype seen in either scenario
+ */
+function diffArchetypes(base, other) {
+  const archetypes = new Set([...Object.keys(base), ...Object.keys(other)]);
+  const empty = { buy: 0, skip: 0, switch: 0, total: 0 };
+  const rate = (b, key) => (b.total > 0 ? b[key] / b.total : 0);
+
+  const deltas = {};
+  for (const archetype of archetypes) {
+    const a = base[archetype] || empty;
+    const b = other[archetype] || empty;
+    deltas[archetype] = {
+      buyRate: round(rate(b, 'buy') - rate(a, 'buy')),
+      skipRate: round(rate(b, 'skip') - rate(a, 'skip')),
+      switchRate: round(rate(b, 'switch') - rate(a, 'switch'))
+    };
+  }
+  return deltas;
+}
+
+/**
+ * Deltas of one scenario against the baseline
+ */
+function diffScenarios(baseline, scenario) {
+  return {
+    name: scenario.name,
+    vs: baseline.name,
+    buyRate: round(scenario.summary.buyRate - baseline.summary.buyRate),
+    skipRate: round(scenario.summary.skipRate - baseline.summary.skipRate),
+    switchRate: round(scenario.summary.switchRate - baseline.summary.switchRate),
+    revenue: round(scenario.revenue - baseline.revenue),
+    netProfit: round(scenario.netProfit - baseline.netProfit),
+    averageTrust: round(scenario.averageTrust - baseline.averageTrust),
+    brandHealth: {
+      permanentlyGone: scenario.brandHealth.permanentlyGone - baseline.brandHealth.permanentlyGone,
+      onLastChance: scenario.brandHealth.onLastChance - baseline.brandHealth.onLastChance,
+      hasRoutine: scenario.brandHealth.hasRoutine - baseline.brandHealth.hasRoutine
+    },
+    archetypes: diffArchetypes(baseline.archetypeInsights, scenario.archetypeInsights)
+  };
+}
+
+/**
+ * Personas whose decision is not the same in every scenario
+ * @param {Array} runs - [{ name, response }]
+ * @returns {Array} Flipped personas with each scenario's decision side by side
+ */
+function findFlippedPersonas(runs) {
+  const byPersona = new Map();
+
+  for (const { name, response } of runs) {
+    for (const r of response.simulation.results) {
+      if (!byPersona.has(r.personaId)) {
+        byPersona.set(r.personaId, { personaId: r.personaId, personaName: r.personaName, archetype: r.archetype, decisions: [] });
+      }
+      byPersona.get(r.personaId).decisions.push({
+        scenario: name,
+        decision: r.decision,
+        emotion: r.emotion,
+        reasoning: r.reasoning
+      });
+    }
+  }
+
+  return [...byPersona.values()]
+    .filter(p => new Set(p.decisions.map(d => d.decision)).size > 1)
+    .sort((a, b) => a.personaId - b.personaId);
+}
+
+/**
+ * Run two or more scenarios from the same snapshot and seed
+ * @param {Array} scenarios - Validated advancedSimulationSchema payloads, each with an optional name
+ * @param {Object} options
+ * @param {number|string} [options.seed] - Seed shared by every scenario
+ * @returns {Promise<Object>} Scenario summaries, deltas against the first scenario and flipped personas
+ */
+async function runComparison(scenarios, options = {}) {
+  const seed = options.seed !== undefined ? options.seed : generateSeed();
+  const baseMemory = forkEnhancedMemory();
+  const runs = [];
+
+  for (let i = 0; i < scenarios.length; i++) {
+    const { name: scenarioName, ...scenario } = scenarios[i];
+    const name = scenarioName || `Scenario ${String.fromCharCode(65 + i)}`;
+    log.info('Running scenario', { scenario: name });
+
+    const { success, response, error, averageTrust } = await runWithMemoryFork(async () => {
+      const run = await runAdvancedSimulation({ ...scenario, seed }, { includeInsight: false });
+      if (!run.success) return run;
+
+      // Trust after this scenario's visits were recorded in the fork
+      const trustScores = run.response.simulation.results.map(r => getEnhancedMemoryState(r.personaId).trust_score);
+      return { ...run, averageTrust: round(trustScores.reduce((a, b) => a + b, 0) / trustScores.length) };
+    }, { cache: JSON.parse(JSON.stringify(baseMemory)), label: `compare-${i + 1}` });
+
+    if (!success) {
+      throw new Error(`Scenario "${name}" failed: ${error}`);
+    }
+
+    runs.push({ name, response, averageTrust });
+  }
+
+  const summaries = runs.map(r => summarizeScenario(r.name, r.response, r.averageTrust));
+  const [baseline, ...others] = summaries;
+
+  return {
+    seed,
+    baseline: baseline.name,
+    scenarios: summaries,
+    deltas: others.map(s => diffScenarios(baseline, s)),
+    flippedPersonas: findFlippedPersonas(runs)
+  };
+}
+
+module.exports = {
+  runComparison,
+  diffScenarios,
+  diffArchetypes,
+  findFlippedPersonas
+};
@@ -0,0 +1,160 @@
+/**
+ * Scenario Runner - Scripted multi-turn timelines
+ *
+ * Executes an ordered list of turns in one request with memory carried over
+ * from turn to turn. Business settings (price, quality, menu, staffing,
+ * competitors, marketing) stay in effect until a later turn changes them;
+ * events only apply to the turn that sets them. Competitors are agents: between
+ * turns they reprice in response to ours (see competitorAgents), until a
+ * later turn lists them afresh.
+ */
+
+const { runAdvancedSimulation } = require('./advancedRunner');
+const { runWithMemoryFork, getEnhancedMemoryState } = require('./enhancedMemory');
+const { getWorkspacePersonas } = require('./workspaces');
+const { generateSeed } = require('./rng');
+const { respondToPrice, activePromo } = require('./competitorAgents');
+const { createLogger } = require('./logger');
+
+const log = createLogger('scenarioRunner');
+
+// Settings that persist across turns until overridden
+const CARRIED_FIELDS = ['price', 'quality', 'productChanges', 'employees', 'competitors', 'marketingTactics', 'financials', 'socialGraph'];
+
+/**
+ * Merge a timeline entry onto the settings in effect
+ * @param {Object} current - Settings carried from the previous turn
+ * @param {Object} turn - Timeline entry
+ * @returns {Object} Settings for this turn
+ */
+function applyTurn(current, turn) {
+  const next = {};
+  for (const field of CARRIED_FIELDS) {
+    next[field] = turn[field] !== undefined ? turn[field] : current[field];
+  }
+  if (turn.event !== undefined) next.event = turn.event;
+  return next;
+}
+
+/**
+ * Execute the timeline in the active memory scope
+ */
+async function executeTimeline(timeline, { startTurn, seed, includeInsights }) {
+  const trajectories = new Map(getWorkspacePersonas().map(p => [p.id, {
+    personaId: p.id,
+    personaName: p.name,
+    archetype: p.archetype,
+    trust: [getEnhancedMemoryState(p.id).trust_score],
+    decisions: [],
+    goneAtTurn: getEnhancedMemoryState(p.id).flags.isPermanentlyGone ? 'before' : null
+  }]));
+
+  const turns = [];
+  let settings = {};
+  let competitors = null; // Competitor agents as they react from turn to turn
+  let previousPrice = null;
+
+  for (let i = 0; i < timeline.length; i++) {
+    const turnNumber = startTurn + i;
+    settings = applyTurn(settings, timeline[i]);
+
+    // Competitors listed in this entry start over; otherwise last turn's agents carry on
+    const turnSettings = timeline[i].competitors === undefined && competitors
+      ? { ...settings, competitors }
+      : settings;
+
+    log.info('Running scenario turn', { turnNumber, step: i + 1, steps: timeline.length });
+
+    const { success, response, error } = await runAdvancedSimulation(
+      { ...turnSettings, turnNumber, seed },
+      { includeInsight: includeInsights }
+    );
+
+    if (!success) {
+      throw new Error(`Turn ${turnNumber} failed: ${error}`);
+    }
+
+    // Competitors answer this turn's price move in the next turn
+    if (response.competitors) {
+      competitors = respondToPrice(response.competitors, response.simulation.price, previousPrice);
+    }
+    previousPrice = response.simulation.price;
+
+    for (const trajectory of trajectories.values()) {
+      const state = getEnhancedMemoryState(trajectory.personaId);
+      const result = response.simulation.results.find(r => r.personaId === trajectory.personaId);
+
+      trajectory.trust.push(state.trust_score);
+      trajectory.decisions.push(result ? result.decision : null);
+      if (trajectory.goneAtTurn === null && state.flags.isPermanentlyGone) {
+        trajectory.goneAtTurn = turnNumber;
+      }
+    }
+
+    turns.push({ turnNumber, settings, ...response });
+  }
+
+  return { turns, trajectories: [...trajectories.values()] };
+}
+
+/**
+ * Competitor prices and promotions turn by turn, next to ours
+ * @param {Array<Object>} turns - Turn responses
+ * @returns {Array<Object>|undefined} undefined when no turn had competitors
+ */
+function competitorTimeline(turns) {
+  if (!turns.some(t => t.competitors)) return undefined;
+
+  return turns.map(t => ({
+    turnNumber: t.turnNumber,
+    ourPrice: t.simulation.price,
+    competitors: (t.competitors || []).map(c => ({
+      id: c.id,
+      name: c.name,
+      strategy: c.strategy,
+      price: c.price,
+      quality: c.quality,
+      promo: activePromo(c),
+      reaction: c.reaction || null
+    }))
+  }));
+}
+
+/**
+ * Run a scripted timeline of turns
+ * @param {Array} timeline - Ordered turn settings
+ * @param {Object} options
+ * @param {number} [options.startTurn=1] - Turn number of the first entry
+ * @param {number|string} [options.seed] - Seed shared by every turn
+ * @param {boolean} [options.sandbox=false] - Run against a forked copy of memory instead of the real one
+ * @param {boolean} [options.includeInsights=false] - Generate an AI insight for every turn
+ * @returns {Promise<Object>} Per-turn responses, trust trajectories and churn turns
+ */
+async function runScenario(timeline, options = {}) {
+  const { startTurn = 1, sandbox = false, includeInsights = false } = options;
+  const seed = options.seed !== undefined ? options.seed : generateSeed();
+
+  const run = () => executeTimeline(timeline, { startTurn, seed, includeInsights });
+  const { turns, trajectories } = sandbox
+    ? await runWithMemoryFork(run, { label: 'scenario' })
+    : await run();
+
+  const churned = trajectories
+    .filter(t => t.goneAtTurn !== null)
+    .map(t => ({ personaId: t.personaId, personaName: t.personaName, goneAtTurn: t.goneAtTurn }));
+
+  return {
+    seed,
+    sandbox,
+    turnsRun: turns.length,
+    turns,
+    trustTrajectories: trajectories,
+    competitorTimeline: competitorTimeline(turns),
+    permanentlyGone: churned
+  };
+}
+
+module.exports = {
+  runScenario,
+  applyTurn
+};
@@ -0,0 +1,237 @@
+/**
+ * Rate-Limit-Aware Scheduler - Token buckets per provider
+ *
+ * Every provider gets a bucket for requests-per-minute and one for
+ * tokens-per-minute. Persona calls wait for capacity before they are sent,
+ * 429s pause the provider's bucket for the retry-after hint (or an
+ * exponential backoff with jitter) and are retried, and batch sizes are
+ * derived from the capacity that is actually available.
+ */
+
+const config = require('../config');
+const { getEnhancedMemoryState } = require('./enhancedMemory');
+const { estimatePersonaTokens } = require('./prompt');
+const { throwIfCancelled } = require('./cancellation');
+const { providerLatency, providerErrors } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('scheduler');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket holding request and token capacity for one provider
+ */
+class TokenBucket {
+  /**
+   * @param {Object} limits
+   * @param {number} limits.rpm - Requests per minute (Infinity for unlimited)
+   * @param {number} limits.tpm - Tokens per minute (Infinity for unlimited)
+   */
+  constructor({ rpm, tpm }) {
+    this.rpm = rpm;
+    this.tpm = tpm;
+    this.requests = rpm;
+    this.tokens = tpm;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve(); // FIFO: acquisitions are served in order
+  }
+
+  /**
+   * Top up both buckets for the time elapsed since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsedMinutes = (now - this.lastRefill) / 60000;
+    this.lastRefill = now;
+    // Unlimited buckets stay full (Infinity * 0 would be NaN)
+    if (Number.isFinite(this.rpm)) this.requests = Math.min(this.rpm, this.requests + elapsedMinutes * this.rpm);
+    if (Number.isFinite(this.tpm)) this.tokens = Math.min(this.tpm, this.tokens + elapsedMinutes * this.tpm);
+  }
+
+  /**
+   * Milliseconds until one request of the given cost fits
+   * @param {number} cost - Estimated tokens
+   * @returns {number}
+   */
+  waitTime(cost) {
+    this.refill();
+    const pauseWait = Math.max(0, this.pausedUntil - Date.now());
+    const requestWait = this.requests >= 1 ? 0 : ((1 - this.requests) / this.rpm) * 60000;
+    const tokenWait = this.tokens >= cost ? 0 : ((cost - this.tokens) / this.tpm) * 60000;
+    return Math.max(pauseWait, requestWait, tokenWait);
+  }
+
+  /**
+   * Wait until capacity is available, then take it
+   * @param {number} cost - Estimated tokens for the request
+   * @returns {Promise<number>} Milliseconds spent waiting
+   */
+  acquire(cost) {
+    // A single request larger than the whole bucket would never fit
+    const boundedCost = Math.min(cost, this.tpm);
+
+    const acquisition = this.queue.then(async () => {
+      const startedAt = Date.now();
+      let wait = this.waitTime(boundedCost);
+      while (wait > 0) {
+        await sleep(wait);
+        wait = this.waitTime(boundedCost);
+      }
+      this.requests -= 1;
+      this.tokens -= boundedCost;
+      return Date.now() - startedAt;
+    });
+
+    this.queue = acquisition.catch(() => {});
+    return acquisition;
+  }
+
+  /**
+   * Stop handing out capacity for a while (after a 429)
+   * @param {number} ms - Pause length
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * How many requests of the given cost fit right now
+   * @param {number} cost - Estimated tokens per request
+   * @returns {number}
+   */
+  capacityFor(cost) {
+    this.refill();
+    if (Date.now() < this.pausedUntil) return 0;
+    return Math.floor(Math.min(this.requests, this.tokens / cost));
+  }
+}
+
+// providerName -> TokenBucket (shared across simulations in this process)
+const buckets = new Map();
+
+/**
+ * Get the scheduler limits for a provider
+ * @param {string} providerName - Provider name
+ * @returns {Object} { rpm, tpm, historyTurns }
+ */
+function getLimits(providerName) {
+  return config.scheduler.limits[providerName] || { rpm: Infinity, tpm: Infinity, historyTurns: 0 };
+}
+
+/**
+ * Get (or create) the token bucket for a provider
+ * @param {string} providerName - Provider name
+ * @returns {TokenBucket}
+ */
+function getBucket(providerName) {
+  if (!buckets.has(providerName)) {
+    buckets.set(providerName, new TokenBucket(getLimits(providerName)));
+  }
+  return buckets.get(providerName);
+}
+
+/**
+ * Exponential backoff with jitter, never shorter than the provider's hint
+ * @param {number} attempt - Retry attempt (0-based)
+ * @param {number|null} retryAfterMs - Provider retry-after hint
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(attempt, retryAfterMs) {
+  const { baseBackoffMs, maxBackoffMs } = config.scheduler;
+  const exponential = Math.min(maxBackoffMs, baseBackoffMs * Math.pow(2, attempt));
+  const jittered = exponential / 2 + Math.random() * (exponential / 2);
+  return Math.max(retryAfterMs || 0, jittered) + Math.random() * baseBackoffMs;
+}
+
+/**
+ * Provider wrapper that routes simulatePersona through the provider's bucket
+ */
+class ScheduledProvider {
+  /**
+   * @param {Object} provider - Provider instance to wrap
+   * @param {Object} [options]
+   * @param {number} [options.maxRetries] - Rate-limit retries before returning the error
+   */
+  constructor(provider, { maxRetries = config.scheduler.maxRetries } = {}) {
+    this.provider = provider;
+    this.maxRetries = maxRetries;
+    this.bucket = getBucket(provider.getName());
+    this.limits = getLimits(provider.getName());
+  }
+
+  buildContextMessage(...args) {
+    return this.provider.buildContextMessage(...args);
+  }
+
+  /**
+   * Estimate the token cost of one persona call on this provider
+   */
+  estimateCost(persona, context, price, quality, marketMomentum, event, businessState) {
+    const message = this.provider.buildContextMessage(persona, context, price, quality, marketMomentum, event, businessState);
+    const historyTurns = Math.min(getEnhancedMemoryState(persona.id).visitHistory.length, this.limits.historyTurns);
+    return estimatePersonaTokens(persona, message, historyTurns);
+  }
+
+  /**
+   * Simulate a persona once capacity is available, retrying on rate limits
+   * @returns {Promise<Object>} Decision result
+   */
+  async simulatePersona(persona, context, price, quality, marketMomentum, turnNumber, event, businessState = {}) {
+    const cost = this.estimateCost(persona, context, price, quality, marketMomentum, event, businessState);
+    let result;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      await this.bucket.acquire(cost);
+      throwIfCancelled();
+      const endTimer = providerLatency.startTimer({ provider: this.getName(), persona: persona.name });
+      result = await this.provider.simulatePersona(persona, context, price, quality, marketMomentum, turnNumber, event, businessState);
+      endTimer();
+      result.estimatedTokens = cost;
+
+      if (result.error) {
+        providerErrors.inc({ provider: this.getName(), type: result.errorType || 'other' });
+      }
+
+      if (!result.error || result.errorType !== 'rate_limit' || attempt === this.maxRetries) {
+        break;
+      }
+
+      const delay = computeBackoff(attempt, result.retryAfterMs);
+      this.bucket.pause(delay);
+      log.warn('Rate limited, retrying', { provider: this.getName(), personaId: persona.id, delayMs: Math.round(delay), attempt: attempt + 1, maxRetries: this.maxRetries });
+    }
+
+    return result;
+  }
+
+  /**
+   * Number of personas to send in the next wave
+   * @param {number} costPerPersona - Estimated tokens per persona
+   * @returns {number} Batch size between 1 and config.scheduler.maxBatchSize
+   */
+  recommendBatchSize(costPerPersona) {
+    const capacity = this.bucket.capacityFor(costPerPersona);
+    return Math.max(1, Math.min(config.scheduler.maxBatchSize, capacity));
+  }
+
+  getName() {
+    return this.provider.getName();
+  }
+}
+
+/**
+ * Clear all buckets (useful for testing/reset)
+ */
+function resetBuckets() {
+  buckets.clear();
+}
+
+module.exports = {
+  TokenBucket,
+  ScheduledProvider,
+  getBucket,
+  computeBackoff,
+  resetBuckets
+};
@@ -0,0 +1,152 @@
+/**
+ * Social Graph - Word of mouth between personas
+ *
+ * Edges are directed and weighted: { from, to, weight } means persona `to`
+ * listens to persona `from` with a weight between 0 and 1 (`mutual` adds the
+ * reverse edge too). Requests can submit their own graph; otherwise the
+ * built-in one below connects the default personas.
+ *
+ * A persona hears what its connections did this turn when they were in an
+ * earlier batch, and otherwise what they did on their last visit. Friends
+ * leaving push its price sensitivity up, friends buying pull it down, scaled
+ * by its socialInfluenceWeight and config.social.influenceStrength.
+ */
+
+const config = require('../config');
+const { getEnhancedMemoryState } = require('./enhancedMemory');
+
+// Persona IDs refer to the built-in personas (see oPersonas)
+const DEFAULT_EDGES = [
+  // Sara leads the student group; Mia and Chloe go where she goes
+  { from: 3, to: 1, weight: 0.9 },
+  { from: 3, to: 5, weight: 0.7 },
+  { from: 3, to: 2, weight: 0.3 },
+  { from: 5, to: 1, weight: 0.5, mutual: true },
+  // Lucas sets the trend for the status-conscious
+  { from: 8, to: 1, weight: 0.6 },
+  { from: 8, to: 6, weight: 0.3 },
+  // The regulars talk
+  { from: 20, to: 19, weight: 0.6, mutual: true },
+  { from: 20, to: 13, weight: 0.4 },
+  { from: 13, to: 15, weight: 0.5 },
+  // Coworking freelancers
+  { from: 16, to: 17, weight: 0.4, mutual: true },
+  { from: 16, to: 18, weight: 0.5 },
+  // Coffee snobs compare notes
+  { from: 10, to: 14, weight: 0.5, mutual: true }
+];
+
+const STRONG_EMOTIONS = ['angry', 'furious', 'betrayed', 'frustrated', 'delighted', 'thrilled', 'ecstatic'];
+const PAST_TENSE = { Buy: 'bought', Skip: 'skipped', Switch: 'switched' };
+
+const leaving = (decision) => decision === 'Skip' || decision === 'Switch';
+
+/**
+ * Index a list of edges by listener
+ * @param {Array<Object>} [edges] - [{ from, to, weight, mutual? }]; the built-in graph when omitted
+ * @returns {Map<number, Array<Object>>} listener ID -> [{ from, weight }]
+ */
+function buildSocialGraph(edges = DEFAULT_EDGES) {
+  const graph = new Map();
+  const connect = (from, to, weight) => {
+    if (from === to) return;
+    graph.set(to, [...(graph.get(to) || []).filter(e => e.from !== from), { from, weight }]);
+  };
+
+  for (const { from, to, weight, mutual } of edges) {
+    connect(from, to, weight);
+    if (mutual) connect(to, from, weight);
+  }
+  return graph;
+}
+
+/**
+ * What a persona's connections did, most recent first
+ * @param {Map} graph - From buildSocialGraph
+ * @param {Object} persona - The listening persona
+ * @param {Map<number, Object>} personasById - Personas of the run
+ * @param {Map<number, Object>} resultsThisTurn - personaId -> result from earlier batches
+ * @returns {Array<Object>} [{ personaId, personaName, weight, decision, emotion, when, targetId? }]
+ */
+function hearFromConnections(graph, persona, personasById, resultsThisTurn) {
+  const signals = [];
+
+  for (const { from, weight } of graph.get(persona.id) || []) {
+    const friend = personasById.get(from);
+    if (!friend) continue;
+
+    const result = resultsThisTurn.get(from);
+    if (result && !result.error) {
+      signals.push({ personaId: from, personaName: friend.name, weight, decision: result.decision, emotion: result.emotion, targetId: result.targetId, when: 'this turn' });
+      continue;
+    }
+
+    const lastVisit = getEnhancedMemoryState(from).visitHistory.slice(-1)[0];
+    if (lastVisit) {
+      signals.push({ personaId: from, personaName: friend.name, weight, decision: lastVisit.decision, emotion: lastVisit.emotion, when: 'last turn' });
+    }
+  }
+
+  // This turn's news first, then by how much the persona listens
+  return signals.sort((a, b) => (a.when === b.when ? b.weight - a.weight : a.when === 'this turn' ? -1 : 1));
+}
+
+/**
+ * Shift price sensitivity by what friends did
+ * @param {Object} persona - Persona instance
+ * @param {number} sensitivity - Sensitivity after market-wide social pressure
+ * @param {Array<Object>} signals - From hearFromConnections
+ * @returns {number} Adjusted sensitivity (0-1)
+ */
+function applyWordOfMouth(persona, sensitivity, signals) {
+  if (signals.length === 0) return sensitivity;
+
+  const pressure = signals.reduce((sum, s) => {
+    const direction = leaving(s.decision) ? 1 : -1;
+    const intensity = STRONG_EMOTIONS.includes((s.emotion || '').toLowerCase()) ? 1.5 : 1;
+    const recency = s.when === 'this turn' ? 1 : 0.5;
+    return sum + direction * s.weight * intensity * recency;
+  }, 0);
+
+  const shift = Math.max(-1, Math.min(1, pressure)) * persona.socialInfluenceWeight * config.social.influenceStrength;
+  return Math.max(0, Math.min(1, sensitivity + shift));
+}
+
+/**
+ * Connections whose decision went the same way as the persona's
+ * @param {Object} result - The persona's result
+ * @param {Array<Object>} signals - From hearFromConnections
+ * @returns {Object|null} { influencedBy, attribution } or null when no friend went the same way
+ */
+function attributeInfluence(result, signals) {
+  const aligned = signals.filter(s => leaving(s.decision) === leaving(result.decision));
+  if (aligned.length === 0) return null;
+
+  const lead = aligned[0];
+  return {
+    influencedBy: aligned.map(({ personaId, personaName, weight, decision, emotion, when }) => ({ personaId, personaName, weight, decision, emotion, when })),
+    attribution: `${result.personaName} ${PAST_TENSE[result.decision]} after ${lead.personaName} ${PAST_TENSE[lead.decision]}${lead.when === 'last turn' ? ' last time' : ''}`
+  };
+}
+
+/**
+ * Word-of-mouth report for a run
+ * @param {Array<Object>} results - Persona results with attributions attached
+ * @returns {Object} { influenced, attributions }
+ */
+function summarizeInfluence(results) {
+  const attributed = results.filter(r => !r.error && r.influence);
+  return {
+    influenced: attributed.length,
+    attributions: attributed.map(r => r.influence.attribution)
+  };
+}
+
+module.exports = {
+  DEFAULT_EDGES,
+  buildSocialGraph,
+  hearFromConnections,
+  applyWordOfMouth,
+  attributeInfluence,
+  summarizeInfluence
+};
@@ -0,0 +1,211 @@
+/**
+ * Workspaces - Isolated tenants sharing one server
+ *
+ * Every workspace has its own persona set, memory files, provider threads,
+ * snapshots and run history. The active workspace is carried through async
+ * calls with AsyncLocalStorage (see middleware/workspace.js), so services
+ * resolve their state per workspace without threading an ID through every call.
+ *
+ * The "default" workspace always exists and keeps the original data layout
+ * under data/; other workspaces live under data/workspaces/<id>/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const { OPENAI_PERSONAS } = require('./oPersonas');
+const { createLogger } = require('./logger');
+
+const log = createLogger('workspaces');
+
+const DEFAULT_WORKSPACE = 'default';
+const WORKSPACE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const DATA_DIR = config.storage.dataDir;
+const WORKSPACES_DIR = path.join(DATA_DIR, 'workspaces');
+
+const workspaceScope = new AsyncLocalStorage();
+
+/**
+ * Emits 'deleted' (workspaceId) so services can drop cached state
+ */
+const workspaceEvents = new EventEmitter();
+
+// workspaceId -> resolved persona list
+const personaCache = new Map();
+
+/**
+ * ID of the workspace the current async context belongs to
+ * @returns {string}
+ */
+function getWorkspaceId() {
+  const scope = workspaceScope.getStore();
+  return scope ? scope.id : DEFAULT_WORKSPACE;
+}
+
+/**
+ * Run a function inside a workspace
+ * @param {string} workspaceId
+ * @param {Function} fn
+ * @returns {*} Result of fn
+ */
+function runInWorkspace(workspaceId, fn) {
+  return workspaceScope.run({ id: workspaceId }, fn);
+}
+
+/**
+ * Directory holding a workspace's data files
+ * @param {string} [workspaceId] - Defaults to the active workspace
+ * @returns {string}
+ */
+function getWorkspaceDataDir(workspaceId = getWorkspaceId()) {
+  return workspaceId === DEFAULT_WORKSPACE ? DATA_DIR : path.join(WORKSPACES_DIR, workspaceId);
+}
+
+/**
+ * Path of a workspace's record file
+ */
+function workspaceFile(workspaceId) {
+  return path.join(WORKSPACES_DIR, workspaceId, 'workspace.json');
+}
+
+/**
+ * Load a workspace record
+ * @param {string} workspaceId
+ * @returns {Object|null} { id, name, description, createdAt, personaIds, personaOverrides }
+ */
+function getWorkspace(workspaceId) {
+  if (workspaceId === DEFAULT_WORKSPACE) {
+    return { id: DEFAULT_WORKSPACE, name: 'Default', description: '', createdAt: null, personaIds: null, personaOverrides: {} };
+  }
+
+  if (!WORKSPACE_ID_PATTERN.test(workspaceId)) return null;
+
+  const file = workspaceFile(workspaceId);
+  if (!fs.existsSync(file)) return null;
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Whether a workspace exists
+ * @param {string} workspaceId
+ * @returns {boolean}
+ */
+function workspaceExists(workspaceId) {
+  return getWorkspace(workspaceId) !== null;
+}
+
+/**
+ * Public view of a workspace
+ */
+function serializeWorkspace(workspace) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    description: workspace.description,
+    createdAt: workspace.createdAt,
+    personaCount: getWorkspacePersonas(workspace.id).length
+  };
+}
+
+/**
+ * Create a workspace
+ * The persona set is chosen from the built-in personas (their IDs map to the
+ * OpenAI assistants), optionally with per-persona attribute overrides.
+ * @param {Object} options
+ * @param {string} options.id - Lowercase letters, digits, dashes and underscores
+ * @param {string} [options.name]
+ * @param {string} [options.description]
+ * @param {Array<Object>} [options.personas] - [{ id, ...overrides }]; all built-in personas when omitted
+ * @returns {Object} { created, workspace } - created is false when the ID is taken
+ */
+function createWorkspace({ id, name, description = '', personas }) {
+  if (workspaceExists(id)) {
+    return { created: false, workspace: serializeWorkspace(getWorkspace(id)) };
+  }
+
+  const personaOverrides = {};
+  for (const { id: personaId, ...overrides } of personas || []) {
+    personaOverrides[personaId] = overrides;
+  }
+
+  const workspace = {
+    id,
+    name: name || id,
+    description,
+    createdAt: new Date().toISOString(),
+    personaIds: personas ? personas.map(p => p.id) : null,
+    personaOverrides
+  };
+
+  fs.mkdirSync(path.dirname(workspaceFile(id)), { recursive: true });
+  fs.writeFileSync(workspaceFile(id), JSON.stringify(workspace, null, 2));
+
+  log.info('Created workspace', { workspaceId: id });
+  return { created: true, workspace: serializeWorkspace(workspace) };
+}
+
+/**
+ * List workspaces, default first
+ * @returns {Array<Object>}
+ */
+function listWorkspaces() {
+  const ids = fs.existsSync(WORKSPACES_DIR)
+    ? fs.readdirSync(WORKSPACES_DIR).filter(id => fs.existsSync(workspaceFile(id))).sort()
+    : [];
+
+  return [DEFAULT_WORKSPACE, ...ids].map(id => serializeWorkspace(getWorkspace(id)));
+}
+
+/**
+ * Delete a workspace and all of its data
+ * @param {string} workspaceId - Anything but the default workspace
+ * @returns {boolean} Whether the workspace existed
+ */
+function deleteWorkspace(workspaceId) {
+  if (workspaceId === DEFAULT_WORKSPACE || !workspaceExists(workspaceId)) return false;
+
+  fs.rmSync(getWorkspaceDataDir(workspaceId), { recursive: true, force: true });
+  personaCache.delete(workspaceId);
+  workspaceEvents.emit('deleted', workspaceId);
+
+  log.info('Deleted workspace', { workspaceId });
+  return true;
+}
+
+/**
+ * Persona set of a workspace
+ * @param {string} [workspaceId] - Defaults to the active workspace
+ * @returns {Array<Object>} Personas with workspace overrides applied
+ */
+function getWorkspacePersonas(workspaceId = getWorkspaceId()) {
+  if (personaCache.has(workspaceId)) return personaCache.get(workspaceId);
+
+  const workspace = getWorkspace(workspaceId);
+  if (!workspace) return OPENAI_PERSONAS;
+
+  const ids = workspace.personaIds ? new Set(workspace.personaIds) : null;
+  const personas = OPENAI_PERSONAS
+    .filter(p => !ids || ids.has(p.id))
+    .map(p => ({ ...p, ...workspace.personaOverrides[p.id] }));
+
+  personaCache.set(workspaceId, personas);
+  return personas;
+}
+
+module.exports = {
+  DEFAULT_WORKSPACE,
+  WORKSPACE_ID_PATTERN,
+  workspaceEvents,
+  getWorkspaceId,
+  runInWorkspace,
+  getWorkspaceDataDir,
+  getWorkspace,
+  workspaceExists,
+  createWorkspace,
+  listWorkspaces,
+  deleteWorkspace,
+  getWorkspacePersonas
+};
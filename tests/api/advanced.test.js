@@ -0,0 +1,88 @@
+const request = require('supertest');
+const app = require('../../src/server');
+const { OPENAI_PERSONAS } = require('../../src/services/oPersonas');
+const { parseEvents } = require('../helpers');
+
+const BASE = '/api/simulate/advanced';
+
+describe('POST /api/simulate/advanced', () => {
+  test('runs every persona and reports the summary, P&L and seed', async () => {
+    const res = await request(app)
+      .post(BASE)
+      .send({ price: 5, quality: 7, seed: 11, productChanges: { Latte: 5, Muffin: 3 } })
+      .expect(200);
+
+    const { simulation, summary, profitAndLoss, metadata } = res.body;
+    expect(res.body.success).toBe(true);
+    expect(simulation.results).toHaveLength(summary.totalPersonas);
+    expect(summary.buyCount + summary.skipCount + summary.switchCount).toBe(summary.totalPersonas);
+    expect(summary.providerBreakdown).toEqual({ mock: summary.totalPersonas });
+    expect(metadata).toMatchObject({ seed: 11, aiProvider: 'mock' });
+    expect(profitAndLoss.revenue.gross).toBeGreaterThanOrEqual(0);
+    expect(res.body.menuPerformance.items).toHaveProperty('Latte');
+  });
+
+  test('rejects invalid bodies before rate limiting', async () => {
+    const res = await request(app).post(BASE).send({ quality: 42 }).expect(400);
+
+    expect(res.body).toMatchObject({ success: false, error: 'Validation failed' });
+    expect(res.body.details[0]).toMatch(/quality/);
+    expect(res.headers).not.toHaveProperty('ratelimit-remaining');
+  });
+
+  test('charges one persona call per persona against the rate limit', async () => {
+    const first = await request(app).post(BASE).send({ price: 5 }).expect(200);
+    const second = await request(app).post(BASE).send({ price: 5 }).expect(200);
+
+    const remaining = (res) => Number(res.headers['ratelimit-remaining']);
+    expect(remaining(first) - remaining(second)).toBe(first.body.summary.totalPersonas);
+  });
+
+  test('stores the run in history', async () => {
+    const res = await request(app).post(BASE).send({ price: 6, seed: 3 }).expect(200);
+    const { runId } = res.body.metadata;
+
+    const stored = await request(app).get(`${BASE}/runs/${runId}`).expect(200);
+    expect(stored.body.run).toMatchObject({ runId, seed: 3 });
+
+    const listed = await request(app).get(`${BASE}/runs`).query({ limit: 1 }).expect(200);
+    expect(listed.body.runs[0].runId).toBe(runId);
+  });
+});
+
+describe('POST /api/simulate/advanced/stream', () => {
+  test('streams persona and momentum events, then the full response', async () => {
+    const res = await request(app).post(`${BASE}/stream`).send({ price: 5, seed: 2 }).expect(200);
+
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    const events = parseEvents(res.text);
+    const personas = events.filter(e => e.event === 'persona');
+    const complete = events[events.length - 1];
+
+    expect(complete.event).toBe('complete');
+    expect(personas).toHaveLength(complete.data.summary.totalPersonas);
+    expect(personas[0].data).toHaveProperty('decision');
+    expect(events.some(e => e.event === 'momentum')).toBe(true);
+  });
+});
+
+describe('unknown advanced routes', () => {
+  test('end in the advanced router with a 404', async () => {
+    const res = await request(app).get(`${BASE}/nowhere`).expect(404);
+    expect(res.body).toEqual({ success: false, error: `Not found: GET ${BASE}/nowhere` });
+  });
+});
+
+describe('GET /api/simulate/advanced/memory/:personaId', () => {
+  test('returns the memory of a known persona', async () => {
+    const personaId = OPENAI_PERSONAS[0].id;
+    const res = await request(app).get(`${BASE}/memory/${personaId}`).expect(200);
+
+    expect(res.body.personaId).toBe(personaId);
+    expect(res.body.memory).toBeDefined();
+  });
+
+  test('rejects unknown personas', async () => {
+    await request(app).get(`${BASE}/memory/9999`).expect(400);
+  });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const app = require('../../src/server');
+
+const BASE = '/api/simulate/advanced';
+
+describe('POST /api/simulate/advanced/monte-carlo', () => {
+  const body = { price: 5, quality: 7, seed: 9, replicates: 3, employees: [{ name: 'Ana', hours: 20, rate: 15 }] };
+
+  test('reports statistics over the replicates', async () => {
+    const res = await request(app).post(`${BASE}/monte-carlo`).send(body).expect(200);
+
+    expect(res.body.replicates).toBe(3);
+    expect(res.body.runs).toHaveLength(3);
+    expect(res.body.statistics.buyRate.confidenceInterval.level).toBe(0.95);
+    expect(res.body.statistics).toHaveProperty('netProfit');
+  });
+
+  test('replays the same runs from the same seed, without touching memory', async () => {
+    const first = await request(app).post(`${BASE}/monte-carlo`).send(body).expect(200);
+    const second = await request(app).post(`${BASE}/monte-carlo`).send(body).expect(200);
+
+    expect(second.body.runs).toEqual(first.body.runs);
+    expect(second.body.statistics).toEqual(first.body.statistics);
+  });
+
+  test('validates replicates', async () => {
+    await request(app).post(`${BASE}/monte-carlo`).send({ replicates: 1 }).expect(400);
+  });
+});
+
+describe('POST /api/simulate/advanced/price-sweep', () => {
+  test('returns a demand curve with one point per step', async () => {
+    const res = await request(app)
+      .post(`${BASE}/price-sweep`)
+      .send({ quality: 7, seed: 4, minPrice: 3, maxPrice: 7, steps: 3 })
+      .expect(200);
+
+    const curve = res.body.demandCurve;
+    expect(curve.map(p => p.price)).toEqual([3, 5, 7]);
+    expect(curve[0].buyRate).toBeGreaterThanOrEqual(curve[2].buyRate);
+    expect(res.body.maxExpectedRevenue).toBe(Math.max(...curve.map(p => p.expectedRevenue)));
+    expect(res.body.elasticity).toHaveLength(2);
+  });
+
+  test('requires maxPrice above minPrice', async () => {
+    await request(app).post(`${BASE}/price-sweep`).send({ minPrice: 5, maxPrice: 4 }).expect(400);
+  });
+});
+
+describe('POST /api/simulate/advanced/compare', () => {
+  test('diffs each scenario against the first', async () => {
+    const res = await request(app)
+      .post(`${BASE}/compare`)
+      .send({ seed: 5, scenarios: [{ name: 'cheap', price: 3 }, { name: 'dear', price: 8 }] })
+      .expect(200);
+
+    expect(res.body.baseline).toBe('cheap');
+    expect(res.body.scenarios.map(s => s.name)).toEqual(['cheap', 'dear']);
+
+    const [cheap, dear] = res.body.scenarios;
+    expect(res.body.deltas[0]).toMatchObject({ name: 'dear', vs: 'cheap' });
+    expect(res.body.deltas[0].netProfit).toBeCloseTo(dear.netProfit - cheap.netProfit, 2);
+  });
+
+  test('needs at least two scenarios', async () => {
+    await request(app).post(`${BASE}/compare`).send({ scenarios: [{ price: 3 }] }).expect(400);
+  });
+});
+
+describe('POST /api/simulate/advanced/scenario', () => {
+  test('runs the timeline turn by turn', async () => {
+    const res = await request(app)
+      .post(`${BASE}/scenario`)
+      .send({ seed: 6, sandbox: true, startTurn: 3, timeline: [{ price: 4 }, { price: 6, event: 'Rainy Day' }] })
+      .expect(200);
+
+    expect(res.body.turnsRun).toBe(2);
+    expect(res.body.turns.map(t => t.turnNumber)).toEqual([3, 4]);
+    expect(res.body.turns[1].simulation.event).toBe('Rainy Day');
+    expect(res.body.trustTrajectories).toBeDefined();
+  });
+
+  test('forbids per-turn seeds', async () => {
+    await request(app).post(`${BASE}/scenario`).send({ timeline: [{ price: 4, seed: 1 }] }).expect(400);
+  });
+});
+
+describe('POST /api/simulate/advanced/diff', () => {
+  test('diffs two stored runs', async () => {
+    const before = await request(app).post(BASE).send({ price: 4, seed: 1, productChanges: { Latte: 4 } }).expect(200);
+    const after = await request(app).post(BASE).send({ price: 9, seed: 1, productChanges: { Latte: 9 } }).expect(200);
+
+    const res = await request(app)
+      .post(`${BASE}/diff`)
+      .send({ before: { runId: before.body.metadata.runId }, after: { runId: after.body.metadata.runId, label: 'pricier' } })
+      .expect(200);
+
+    expect(res.body.before.label).toBe(before.body.metadata.runId);
+    expect(res.body.after.label).toBe('pricier');
+    expect(res.body.inputs.price).toEqual({ before: 4, after: 9 });
+    expect(res.body.inputs.menu.changed).toEqual({ Latte: { before: 4, after: 9 } });
+    expect(res.body.personas).toHaveLength(before.body.summary.totalPersonas);
+  });
+
+  test('diffs a saved response against itself', async () => {
+    const run = await request(app).post(BASE).send({ price: 5 }).expect(200);
+
+    const res = await request(app)
+      .post(`${BASE}/diff`)
+      .send({ before: { response: run.body }, after: { response: run.body } })
+      .expect(200);
+
+    expect(res.body.decisionChanges).toBe(0);
+    expect(res.body.summary.buyRate).toBe(0);
+  });
+
+  test('returns 404 for unknown runs', async () => {
+    await request(app)
+      .post(`${BASE}/diff`)
+      .send({ before: { runId: 'missing' }, after: { runId: 'missing' } })
+      .expect(404);
+  });
+});
@@ -0,0 +1,57 @@
+const request = require('supertest');
+const app = require('../../src/server');
+const { parseEvents } = require('../helpers');
+
+const BASE = '/api/simulate/advanced';
+
+describe('async jobs', () => {
+  let accepted;
+
+  beforeAll(async () => {
+    accepted = await request(app).post(BASE).query({ async: 'true' }).send({ price: 5, seed: 8 });
+  });
+
+  test('POST ?async=true accepts the run with status and stream URLs', () => {
+    expect(accepted.status).toBe(202);
+    expect(accepted.body.jobId).toBeDefined();
+    expect(accepted.body.statusUrl).toBe(`${BASE}/jobs/${accepted.body.jobId}`);
+    expect(accepted.body.streamUrl).toBe(`${BASE}/jobs/${accepted.body.jobId}/stream`);
+  });
+
+  test('GET /jobs/:jobId/stream follows the job to completion', async () => {
+    const res = await request(app).get(accepted.body.streamUrl).expect(200);
+
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    const events = parseEvents(res.text);
+    expect(events[0].event).toBe('status');
+    expect(events[0].data.jobId).toBe(accepted.body.jobId);
+
+    const complete = events[events.length - 1];
+    expect(complete.event).toBe('complete');
+    expect(complete.data.metadata.seed).toBe(8);
+  });
+
+  test('GET /jobs/:jobId returns the finished job with its result', async () => {
+    const res = await request(app).get(accepted.body.statusUrl).expect(200);
+
+    expect(res.body.status).toBe('completed');
+    expect(res.body.result.success).toBe(true);
+    expect(res.body.partialResults).toBeUndefined();
+  });
+
+  test('GET /jobs lists the job', async () => {
+    const res = await request(app).get(`${BASE}/jobs`).expect(200);
+    expect(res.body.jobs.map(j => j.jobId)).toContain(accepted.body.jobId);
+  });
+
+  test('DELETE /jobs/:jobId refuses to cancel a finished job', async () => {
+    const res = await request(app).delete(accepted.body.statusUrl).expect(409);
+    expect(res.body.error).toBe('Job is already completed');
+  });
+
+  test('unknown jobs are 404', async () => {
+    await request(app).get(`${BASE}/jobs/missing`).expect(404);
+    await request(app).get(`${BASE}/jobs/missing/stream`).expect(404);
+    await request(app).delete(`${BASE}/jobs/missing`).expect(404);
+  });
+});
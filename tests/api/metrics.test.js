@@ -0,0 +1,15 @@
+const request = require('supertest');
+const app = require('../../src/server');
+
+describe('GET /metrics', () => {
+  test('exposes simulation, provider and trust metrics', async () => {
+    await request(app).post('/api/simulate/advanced').send({ price: 5 }).expect(200);
+
+    const res = await request(app).get('/metrics').expect(200);
+
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+    expect(res.text).toMatch(/simulation_duration_seconds_count\{[^}]*\} 1/);
+    expect(res.text).toMatch(/estimated_tokens_total\{provider="mock"\} \d+/);
+    expect(res.text).toContain('persona_trust_average');
+  });
+});
@@ -0,0 +1,17 @@
+const request = require('supertest');
+const app = require('../../src/server');
+
+describe('request correlation', () => {
+  test('echoes a well-formed X-Request-Id', async () => {
+    const res = await request(app).get('/').set('X-Request-Id', 'trace-123').expect(200);
+    expect(res.headers['x-request-id']).toBe('trace-123');
+  });
+
+  test('assigns an ID when none or a malformed one is sent', async () => {
+    const generated = await request(app).get('/').expect(200);
+    const replaced = await request(app).get('/').set('X-Request-Id', 'bad id\twith spaces').expect(200);
+
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(replaced.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,51 @@
+const request = require('supertest');
+const app = require('../../src/server');
+
+const BASE = '/api/simulate/advanced';
+
+describe('memory snapshots', () => {
+  let saved;
+
+  beforeAll(async () => {
+    await request(app).post(BASE).send({ price: 5, seed: 1 }).expect(200);
+  });
+
+  test('POST /snapshots saves live memory under a name', async () => {
+    const res = await request(app).post(`${BASE}/snapshots`).send({ name: 'baseline', description: 'After one turn' }).expect(201);
+
+    saved = res.body.snapshot;
+    expect(saved).toMatchObject({ name: 'baseline', description: 'After one turn' });
+    expect(saved.totalVisits).toBeGreaterThan(0);
+  });
+
+  test('refuses to overwrite a snapshot unless asked', async () => {
+    await request(app).post(`${BASE}/snapshots`).send({ name: 'baseline' }).expect(409);
+    await request(app).post(`${BASE}/snapshots`).send({ name: 'baseline', overwrite: true }).expect(201);
+  });
+
+  test('validates snapshot names', async () => {
+    await request(app).post(`${BASE}/snapshots`).send({ name: '../escape' }).expect(400);
+  });
+
+  test('GET /snapshots lists it', async () => {
+    const res = await request(app).get(`${BASE}/snapshots`).expect(200);
+    expect(res.body.snapshots.map(s => s.name)).toEqual(['baseline']);
+  });
+
+  test('restoring rolls memory back to the snapshot', async () => {
+    await request(app).post(BASE).send({ price: 9, seed: 2 }).expect(200);
+
+    const res = await request(app).post(`${BASE}/snapshots/baseline/restore`).expect(200);
+    expect(res.body.snapshot.totalVisits).toBe(saved.totalVisits);
+
+    const again = await request(app).post(`${BASE}/snapshots`).send({ name: 'after-restore' }).expect(201);
+    expect(again.body.snapshot.totalVisits).toBe(saved.totalVisits);
+    expect(again.body.snapshot.averageTrust).toBe(saved.averageTrust);
+  });
+
+  test('DELETE /snapshots/:name removes it', async () => {
+    await request(app).delete(`${BASE}/snapshots/baseline`).expect(200);
+    await request(app).delete(`${BASE}/snapshots/baseline`).expect(404);
+    await request(app).post(`${BASE}/snapshots/baseline/restore`).expect(404);
+  });
+});
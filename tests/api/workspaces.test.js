@@ -0,0 +1,123 @@
+process.env.AUTH_ENABLED = 'true';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const request = require('supertest');
+const app = require('../../src/server');
+
+const ADMIN = { 'X-API-Key': 'test-admin-key' };
+
+describe('workspaces', () => {
+  test('managing workspaces needs the admin key', async () => {
+    await request(app).get('/api/workspaces').expect(401);
+    await request(app).get('/api/workspaces').set('X-API-Key', 'sk_sim_wrong').expect(401);
+  });
+
+  test('POST /api/workspaces creates a workspace with a persona subset', async () => {
+    const res = await request(app)
+      .post('/api/workspaces')
+      .set(ADMIN)
+      .send({ id: 'cafe', name: 'Corner Cafe', personas: [{ id: 1 }, { id: 3, priceSensitivity: 0.9, preferredTimes: ['morning', 'lunch'] }, { id: 5, home: { x: 10, y: -5 } }] })
+      .expect(201);
+
+    expect(res.body.workspace).toMatchObject({ id: 'cafe', name: 'Corner Cafe' });
+  });
+
+  test('rejects duplicates and the default workspace ID', async () => {
+    await request(app).post('/api/workspaces').set(ADMIN).send({ id: 'cafe' }).expect(409);
+    await request(app).post('/api/workspaces').set(ADMIN).send({ id: 'default' }).expect(400);
+    await request(app).post('/api/workspaces').set(ADMIN).send({ id: 'cafe-2', personas: [{ id: 9999 }] }).expect(400);
+  });
+
+  test('GET /api/workspaces lists it', async () => {
+    const res = await request(app).get('/api/workspaces').set(ADMIN).expect(200);
+    expect(res.body.workspaces.map(w => w.id)).toEqual(expect.arrayContaining(['default', 'cafe']));
+  });
+
+  test('the admin key can simulate in any workspace', async () => {
+    const res = await request(app).post('/api/workspaces/cafe/simulate/advanced').set(ADMIN).send({ price: 5 }).expect(200);
+    expect(res.body.summary.totalPersonas).toBe(3);
+  });
+
+  test('keeps run history per workspace', async () => {
+    const res = await request(app).get('/api/workspaces/cafe/simulate/advanced/runs').set(ADMIN).expect(200);
+    const defaults = await request(app).get('/api/simulate/advanced/runs').set(ADMIN).expect(200);
+
+    expect(res.body.runs).toHaveLength(1);
+    expect(defaults.body.runs).toHaveLength(0);
+  });
+
+  test('unknown workspaces are 404', async () => {
+    await request(app).post('/api/simulate/advanced').set(ADMIN).set('X-Workspace-Id', 'nowhere').send({ price: 5 }).expect(404);
+  });
+});
+
+describe('API keys', () => {
+  let apiKey;
+  let keyId;
+
+  test('POST /api/admin/keys issues a key for a workspace', async () => {
+    const res = await request(app)
+      .post('/api/admin/keys')
+      .set(ADMIN)
+      .send({ workspaceId: 'cafe', name: 'Owner', quotas: { simulationsPerDay: 2 } })
+      .expect(201);
+
+    apiKey = res.body.apiKey;
+    keyId = res.body.key.keyId;
+    expect(apiKey).toMatch(/^sk_sim_/);
+    expect(res.body.key).not.toHaveProperty('hash');
+  });
+
+  test('refuses keys for unknown workspaces', async () => {
+    await request(app).post('/api/admin/keys').set(ADMIN).send({ workspaceId: 'nowhere' }).expect(404);
+  });
+
+  test('simulation routes need a key', async () => {
+    const res = await request(app).post('/api/simulate/advanced').send({ price: 5 }).expect(401);
+    expect(res.body.error).toBe('API key required');
+  });
+
+  test('a workspace key runs in its own workspace only', async () => {
+    const res = await request(app).post('/api/simulate/advanced').set('X-API-Key', apiKey).send({ price: 5 }).expect(200);
+    expect(res.body.summary.totalPersonas).toBe(3);
+
+    await request(app).post('/api/simulate/advanced').set('X-API-Key', apiKey).set('X-Workspace-Id', 'default').send({ price: 5 }).expect(403);
+  });
+
+  test('rejects requests that would take the key past its daily quota, without charging them', async () => {
+    const res = await request(app)
+      .post('/api/simulate/advanced/monte-carlo')
+      .set('X-API-Key', apiKey)
+      .send({ price: 5, replicates: 2 })
+      .expect(429);
+
+    expect(res.body.requested.simulations).toBe(2);
+    expect(res.body.usage.simulations).toBe(1);
+    expect(res.headers['retry-after']).toBeDefined();
+
+    await request(app).post('/api/simulate/advanced').set('X-API-Key', apiKey).send({ price: 5 }).expect(200);
+    await request(app).post('/api/simulate/advanced').set('X-API-Key', apiKey).send({ price: 5 }).expect(429);
+  });
+
+  test('GET /api/admin/keys reports usage', async () => {
+    const res = await request(app).get('/api/admin/keys').query({ workspaceId: 'cafe' }).set(ADMIN).expect(200);
+
+    expect(res.body.keys).toHaveLength(1);
+    expect(res.body.keys[0].usage.simulations).toBe(2);
+    expect(res.body.keys[0].reserved).toEqual({ simulations: 0, estimatedTokens: 0 }); // Released with each response
+  });
+
+  test('revoked keys stop working', async () => {
+    await request(app).delete(`/api/admin/keys/${keyId}`).set(ADMIN).expect(200);
+
+    const res = await request(app).post('/api/simulate/advanced').set('X-API-Key', apiKey).send({ price: 5 }).expect(401);
+    expect(res.body.error).toBe('Invalid or revoked API key');
+    await request(app).delete('/api/admin/keys/missing').set(ADMIN).expect(404);
+  });
+
+  test('DELETE /api/workspaces/:workspaceId removes a workspace but never the default', async () => {
+    await request(app).delete('/api/workspaces/default').set(ADMIN).expect(400);
+    await request(app).delete('/api/workspaces/cafe').set(ADMIN).expect(200);
+    await request(app).delete('/api/workspaces/cafe').set(ADMIN).expect(404);
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Shared helpers for the API suites
+ */
+
+/**
+ * Parse a Server-Sent Events body
+ * @param {string} text - Raw response body
+ * @returns {Array<Object>} [{ event, data }] in order
+ */
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(Boolean)
+    .map(block => {
+      const lines = block.split('\n');
+      const field = (name) => lines.find(l => l.startsWith(`${name}: `)).slice(name.length + 2);
+      return { event: field('event'), data: JSON.parse(field('data')) };
+    });
+}
+
+module.exports = { parseEvents };
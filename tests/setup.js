@@ -0,0 +1,21 @@
+/**
+ * Jest setup - runs before every test file
+ *
+ * Simulations use the deterministic mock provider, quiet logs and a
+ * throwaway data directory, so suites never call a model or touch src/data.
+ * Test files may set further environment variables before requiring src/.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.AI_PROVIDER = 'mock';
+process.env.LOG_LEVEL = 'error';
+process.env.RATE_LIMIT_MAX_REQUESTS = '1000';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-test-'));
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
@@ -0,0 +1,60 @@
+const {
+  issueKey,
+  authenticateKey,
+  checkQuota,
+  reserveQuota,
+  holdReservation,
+  runWithReservation,
+  meterSimulation
+} = require('../../src/services/apiKeys');
+
+const newKey = (quotas) => authenticateKey(issueKey({ workspaceId: 'default', quotas }).apiKey);
+
+describe('quota reservations', () => {
+  test('requests already running count against the quota', () => {
+    const key = newKey({ simulationsPerDay: 3 });
+    reserveQuota(key, { simulations: 2, estimatedTokens: 100 });
+
+    const check = checkQuota(key, { simulations: 2 });
+    expect(check.allowed).toBe(false);
+    expect(check.quota).toBe('simulationsPerDay');
+    expect(check.reserved).toEqual({ simulations: 2, estimatedTokens: 100 });
+    expect(checkQuota(key, { simulations: 1 }).allowed).toBe(true);
+  });
+
+  test('metered turns move from the reservation to usage', () => {
+    const key = newKey({ simulationsPerDay: 3 });
+    const reservation = reserveQuota(key, { simulations: 2, estimatedTokens: 1000 });
+
+    runWithReservation(reservation, () => {
+      const release = holdReservation();
+      meterSimulation(400);
+
+      expect(checkQuota(key).usage).toMatchObject({ simulations: 1, estimatedTokens: 400 });
+      expect(checkQuota(key).reserved).toEqual({ simulations: 1, estimatedTokens: 600 });
+      release();
+    });
+
+    expect(checkQuota(key).reserved).toEqual({ simulations: 0, estimatedTokens: 0 });
+    expect(checkQuota(key, { simulations: 2 }).allowed).toBe(true);
+  });
+
+  test('turns a request never ran are refunded once its last holder releases', () => {
+    const key = newKey({ simulationsPerDay: 2 });
+    const reservation = reserveQuota(key, { simulations: 2, estimatedTokens: 0 });
+
+    const [releaseResponse, releaseJob] = runWithReservation(reservation, () => [holdReservation(), holdReservation()]);
+
+    releaseResponse();
+    releaseResponse(); // Releasing twice is harmless
+    expect(checkQuota(key, { simulations: 1 }).allowed).toBe(false);
+
+    releaseJob();
+    expect(checkQuota(key, { simulations: 2 }).allowed).toBe(true);
+    expect(checkQuota(key).usage.simulations).toBe(0);
+  });
+
+  test('holding outside of a reservation does nothing', () => {
+    expect(() => holdReservation()()).not.toThrow();
+  });
+});
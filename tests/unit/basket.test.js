@@ -0,0 +1,67 @@
+const { MAX_QUANTITY, matchMenuItem, normalizeBasket, summarizeItems } = require('../../src/services/basket');
+
+const menu = { Latte: 5, Muffin: 3, 'Cold Brew': 4.5 };
+
+describe('matchMenuItem', () => {
+  test('ignores case and surrounding whitespace', () => {
+    expect(matchMenuItem('  cold brew ', menu)).toBe('Cold Brew');
+  });
+
+  test('returns null for unknown items and non-strings', () => {
+    expect(matchMenuItem('Scone', menu)).toBeNull();
+    expect(matchMenuItem(undefined, menu)).toBeNull();
+  });
+});
+
+describe('normalizeBasket', () => {
+  test('prices known items, merges lines and clamps quantities', () => {
+    const { basket, basketTotal } = normalizeBasket({
+      decision: 'Buy',
+      basket: [
+        { item: 'latte', quantity: 2, reason: 'usual' },
+        { item: 'Latte', quantity: 1 },
+        { item: 'Muffin', quantity: 40 },
+        { item: 'Scone', quantity: 1 },
+        { item: 'Cold Brew', quantity: 0 }
+      ]
+    }, menu);
+
+    expect(basket).toEqual([
+      { item: 'Latte', quantity: 3, reason: 'usual', unitPrice: 5, lineTotal: 15 },
+      { item: 'Muffin', quantity: MAX_QUANTITY, reason: undefined, unitPrice: 3, lineTotal: 15 },
+      { item: 'Cold Brew', quantity: 1, reason: undefined, unitPrice: 4.5, lineTotal: 4.5 }
+    ]);
+    expect(basketTotal).toBe(34.5);
+  });
+
+  test('only Buy decisions keep a basket', () => {
+    const { basket, basketTotal, drivingItems } = normalizeBasket({
+      decision: 'Skip',
+      basket: [{ item: 'Latte', quantity: 1 }],
+      drivingItems: ['latte', 'LATTE', 'Scone']
+    }, menu);
+
+    expect(basket).toEqual([]);
+    expect(basketTotal).toBe(0);
+    expect(drivingItems).toEqual(['Latte']);
+  });
+});
+
+describe('summarizeItems', () => {
+  test('counts units, revenue, buyers and switch drivers', () => {
+    const results = [
+      { personaName: 'Mia', decision: 'Buy', basket: [{ item: 'Latte', quantity: 2, lineTotal: 10 }] },
+      { personaName: 'Sara', decision: 'Buy', basket: [] },
+      { personaName: 'Chloe', decision: 'Switch', drivingItems: ['Latte'] },
+      { personaName: 'Lucas', decision: 'Skip', drivingItems: ['Muffin'] },
+      { personaName: 'Broken', error: 'timeout', decision: 'Buy', basket: [{ item: 'Latte', quantity: 1, lineTotal: 5 }] }
+    ];
+
+    const { items, switchDrivers, buyersWithoutBasket } = summarizeItems(results, menu);
+
+    expect(items.Latte).toEqual({ price: 5, units: 2, revenue: 10, buyers: 1, skipDriver: 0, switchDriver: 1 });
+    expect(items.Muffin.skipDriver).toBe(1);
+    expect(switchDrivers).toEqual([{ item: 'Latte', count: 1, personas: ['Chloe'] }]);
+    expect(buyersWithoutBasket).toBe(1);
+  });
+});
@@ -0,0 +1,48 @@
+const { initializeCompetitors, respondToPrice, activePromo } = require('../../src/services/competitorAgents');
+
+const rivals = () => initializeCompetitors([
+  { id: 1, name: 'Matcher', x: 10, y: 0, strategy: 'match' },
+  { id: 2, name: 'Cutter', x: 0, y: 10, price: 5, strategy: 'undercut', undercutBy: 0.2, minPrice: 3.5 },
+  { id: 3, name: 'Steady', x: -10, y: 0, price: 6, quality: 8, promo: 'Free refills' },
+  { id: 4, name: 'Fancy', x: 0, y: -10, strategy: 'premium' }
+], { price: 5, quality: 6 });
+
+describe('initializeCompetitors', () => {
+  test('starts competitors at our price and quality unless given their own', () => {
+    const [matcher, cutter, steady] = rivals();
+
+    expect(matcher).toMatchObject({ price: 5, quality: 6, promo: null, strategy: 'match', minPrice: 2.5 });
+    expect(cutter.minPrice).toBe(3.5);
+    expect(steady).toMatchObject({ price: 6, quality: 8, strategy: 'hold' });
+  });
+});
+
+describe('respondToPrice', () => {
+  test('nobody moves when our price did not', () => {
+    const next = respondToPrice(rivals(), 5, 5);
+
+    expect(next.map(c => c.price)).toEqual([5, 5, 6, 5]);
+    expect(next.every(c => c.reaction === null)).toBe(true);
+    expect(respondToPrice(rivals(), 5, null).every(c => c.reaction === null)).toBe(true);
+  });
+
+  test('each strategy answers a price cut', () => {
+    const [matcher, cutter, steady, fancy] = respondToPrice(rivals(), 4, 5);
+
+    expect(matcher.price).toBe(4);
+    expect(cutter.price).toBe(3.5); // 20% under $4 is below its floor
+    expect(steady.price).toBe(6);
+    expect(fancy.price).toBe(4.6);
+    expect(matcher.reaction).toMatchObject({ strategy: 'match', ourPrice: { before: 5, after: 4 }, price: { before: 5, after: 4 } });
+    expect(activePromo(matcher)).toBe('Price match: $4.00, same as down the street');
+    expect(activePromo(cutter)).toBe('Now only $3.50, cheaper than down the street');
+  });
+
+  test('reactive promos only follow price cuts and last one turn', () => {
+    const afterRise = respondToPrice(rivals(), 6, 5);
+    expect(afterRise[0].reaction.promo).toBeNull();
+
+    const [, , steady] = respondToPrice(respondToPrice(rivals(), 4, 5), 4, 4);
+    expect(activePromo(steady)).toBe('Free refills');
+  });
+});
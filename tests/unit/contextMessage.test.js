@@ -0,0 +1,33 @@
+const { buildContextMessage } = require('../../src/services/contextMessage');
+const { generateCompleteContext } = require('../../src/services/contextGenerator');
+const { getEnhancedMemoryState, getDecisionContext } = require('../../src/services/enhancedMemory');
+const { getWorkspacePersonas } = require('../../src/services/workspaces');
+const { createRng } = require('../../src/services/rng');
+
+const persona = getWorkspacePersonas()[0];
+
+const messageFor = (businessState) => {
+  const context = generateCompleteContext(persona, getEnhancedMemoryState(persona.id), 1, '', createRng(1));
+  context.effectivePriceSensitivity = persona.priceSensitivity;
+  context.decisionContext = getDecisionContext(persona.id, 4.5);
+  return buildContextMessage(persona, context, 4.5, 7, null, 'Regular Business Day', businessState);
+};
+
+describe('buildContextMessage', () => {
+  test('lists each menu price instead of one average price', () => {
+    const message = messageFor({ productChanges: { Latte: 5, Muffin: 3.25 } });
+
+    expect(message).toContain('- Menu prices:\n  - Latte: $5.00\n  - Muffin: $3.25');
+    expect(message).not.toContain('Average Price');
+    expect(message).not.toContain('- Price: $4.50');
+    expect(message).toContain('"basket"');
+  });
+
+  test('shows the simulated price without a menu', () => {
+    const message = messageFor({});
+
+    expect(message).toContain('- Price: $4.50');
+    expect(message).not.toContain('Menu prices');
+    expect(message).not.toContain('"basket"');
+  });
+});
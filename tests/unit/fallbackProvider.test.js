@@ -0,0 +1,66 @@
+jest.mock('../../src/services/providerFactory', () => {
+  const { ScheduledProvider } = jest.requireActual('../../src/services/scheduler');
+  return {
+    createProvider: (type, options) => new ScheduledProvider(global.fakeProviders[type], options)
+  };
+});
+
+const FallbackProvider = require('../../src/services/fallbackProvider');
+const { OPENAI_PERSONAS } = require('../../src/services/oPersonas');
+
+const persona = OPENAI_PERSONAS[0];
+
+const fakeProvider = (name, respond) => ({
+  calls: 0,
+  getName: () => name,
+  buildContextMessage: () => 'context',
+  async simulatePersona(p) {
+    this.calls++;
+    return { personaId: p.id, personaName: p.name, ...respond() };
+  }
+});
+
+const rateLimited = () => ({
+  decision: 'Skip',
+  reasoning: 'Error: 429 Too Many Requests',
+  error: true,
+  errorType: 'rate_limit',
+  retryable: true,
+  retryAfterMs: 30000
+});
+
+describe('FallbackProvider', () => {
+  test('a rate-limited primary hands the persona to the next provider at once', async () => {
+    global.fakeProviders = {
+      primary: fakeProvider('primary', rateLimited),
+      secondary: fakeProvider('secondary', () => ({ decision: 'Buy', emotion: 'satisfied' }))
+    };
+    const chain = new FallbackProvider(['primary', 'secondary']);
+
+    const startedAt = Date.now();
+    const result = await chain.simulatePersona(persona, {}, 5, 7, {}, 1, 'Regular Business Day');
+
+    expect(Date.now() - startedAt).toBeLessThan(1000); // No backoff on the primary
+    expect(global.fakeProviders.primary.calls).toBe(1);
+    expect(result).toMatchObject({
+      decision: 'Buy',
+      provider: 'secondary',
+      fallback: true,
+      fallbackFrom: [{ provider: 'primary', errorType: 'rate_limit' }]
+    });
+    expect(result.error).toBeUndefined();
+  });
+
+  test('errors that are not retryable stay with the provider that returned them', async () => {
+    global.fakeProviders = {
+      primary: fakeProvider('primary', () => ({ decision: 'Skip', error: true, errorType: 'other', retryable: false })),
+      secondary: fakeProvider('secondary', () => ({ decision: 'Buy' }))
+    };
+    const chain = new FallbackProvider(['primary', 'secondary']);
+
+    const result = await chain.simulatePersona(persona, {}, 5, 7, {}, 1, 'Regular Business Day');
+
+    expect(result).toMatchObject({ provider: 'primary', fallback: false, error: true });
+    expect(global.fakeProviders.secondary.calls).toBe(0);
+  });
+});
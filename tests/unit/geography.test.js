@@ -0,0 +1,100 @@
+const { OPENAI_PERSONAS } = require('../../src/services/oPersonas');
+const { SHOP, locatePersona, planTrip, gravityShares, drawSwitch } = require('../../src/services/geography');
+
+const weekday = (timeOfDay) => ({ isWeekend: false, timeOfDay, isRushing: false });
+
+describe('locatePersona', () => {
+  test('places a persona in the same spot every time', () => {
+    expect(locatePersona({ id: 4, archetype: 'Student' })).toEqual(locatePersona({ id: 4, archetype: 'Student' }));
+  });
+
+  test('uses home and work overrides', () => {
+    const location = locatePersona({ id: 4, home: { x: 10, y: 0 }, work: null });
+    expect(location).toEqual({ home: { x: 10, y: 0 }, work: null });
+  });
+
+  test('every built-in persona has a home and a workplace', () => {
+    for (const persona of OPENAI_PERSONAS) {
+      const { home, work } = locatePersona(persona);
+      expect(home).toEqual({ x: expect.any(Number), y: expect.any(Number) });
+      expect(work).toEqual({ x: expect.any(Number), y: expect.any(Number) });
+    }
+  });
+});
+
+describe('planTrip', () => {
+  const persona = { id: 1, home: { x: 20, y: 0 }, work: { x: 0, y: 40 } };
+  const competitors = [
+    { id: 1, name: 'Near Home', x: 20, y: 10 },
+    { id: 2, name: 'Near Work', x: 0, y: 30 }
+  ];
+
+  test('weekday lunches start from work', () => {
+    const travel = planTrip(persona, weekday('lunch'), competitors);
+
+    expect(travel.origin).toEqual({ place: 'work', x: 0, y: 40 });
+    expect(travel.shop.distanceKm).toBe(2); // 40 units at 0.05 km
+    expect(travel.nearestCompetitor.id).toBe(2);
+  });
+
+  test('weekends start from home', () => {
+    const travel = planTrip(persona, { ...weekday('lunch'), isWeekend: true }, competitors);
+
+    expect(travel.origin.place).toBe('home');
+    expect(travel.nearestCompetitor.id).toBe(1);
+  });
+
+  test('rushing makes the same trip dearer', () => {
+    const calm = planTrip(persona, weekday('morning')).shop;
+    const rushed = planTrip(persona, { ...weekday('morning'), isRushing: true }).shop;
+
+    expect(rushed.distanceKm).toBe(calm.distanceKm);
+    expect(rushed.travelCost).toBeGreaterThan(calm.travelCost);
+  });
+
+  test('without competitors there is no nearest one', () => {
+    expect(planTrip(persona, weekday('morning')).nearestCompetitor).toBeNull();
+  });
+});
+
+describe('gravityShares', () => {
+  const persona = { id: 1, home: { x: 20, y: 0 }, work: null };
+  const shareOf = (price) => {
+    const competitors = [{ id: 1, name: 'Rival', x: 20, y: 10, price, quality: 6 }];
+    return gravityShares(planTrip(persona, weekday('morning'), competitors), { price: 5, quality: 6 }, competitors);
+  };
+
+  test('competitor shares add up to the switch likelihood', () => {
+    const gravity = shareOf(5);
+
+    expect(gravity.switchLikelihood).toBeGreaterThan(0);
+    expect(gravity.switchLikelihood).toBeLessThan(1);
+    expect(gravity.shares[0].share).toBeCloseTo(gravity.switchLikelihood, 3);
+  });
+
+  test('a cheaper competitor pulls harder', () => {
+    expect(shareOf(3).switchLikelihood).toBeGreaterThan(shareOf(7).switchLikelihood);
+  });
+
+  test('the shop sits at the origin of the canvas', () => {
+    expect(SHOP).toEqual({ x: 0, y: 0 });
+  });
+});
+
+describe('drawSwitch', () => {
+  const gravity = { switchLikelihood: 0.6, shares: [{ id: 1, share: 0.4 }, { id: 2, share: 0.2 }] };
+  const draws = (...values) => () => values.shift();
+
+  test('skips when the draw is past the switch likelihood', () => {
+    expect(drawSwitch(gravity, draws(0.7))).toBeNull();
+  });
+
+  test('picks a competitor in proportion to its share', () => {
+    expect(drawSwitch(gravity, draws(0.1, 0.1))).toBe(1); // 0.06 of 0.6
+    expect(drawSwitch(gravity, draws(0.1, 0.9))).toBe(2); // 0.54 of 0.6
+  });
+
+  test('never switches without competitors', () => {
+    expect(drawSwitch({ switchLikelihood: 0, shares: [] }, () => 0)).toBeNull();
+  });
+});
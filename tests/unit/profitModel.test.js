@@ -0,0 +1,68 @@
+const { calculateProfitAndLoss } = require('../../src/services/profitModel');
+const { summarizeItems } = require('../../src/services/basket');
+
+const buyers = (n) => Array.from({ length: n }, (_, i) => ({ personaId: i + 1, decision: 'Buy' }));
+
+describe('calculateProfitAndLoss', () => {
+  test('without a menu each buyer buys one item at the simulated price', () => {
+    const results = [...buyers(2), { personaId: 3, decision: 'Skip' }, { personaId: 4, decision: 'Buy', error: 'timeout' }];
+
+    const pnl = calculateProfitAndLoss(results, {
+      price: 5,
+      businessState: {},
+      financials: { customersPerPersona: 10 }
+    });
+
+    expect(pnl.revenue).toEqual({ gross: 100, units: 20, averagePrice: 5 });
+    expect(pnl.costs.goods).toBe(30); // Default cost of goods ratio 0.3
+    expect(pnl.netProfit).toBe(70);
+    expect(pnl.margin).toBe(0.7);
+  });
+
+  test('labour and marketing come off net profit, with configured tactic costs', () => {
+    const pnl = calculateProfitAndLoss(buyers(1), {
+      price: 4,
+      businessState: {
+        employees: [{ name: 'Ana', hours: 10, rate: 15 }],
+        marketingTactics: ['Flyers', 'Loyalty Card']
+      },
+      financials: { customersPerPersona: 50, marketingCosts: { Flyers: 20 } }
+    });
+
+    expect(pnl.costs.labour).toBe(150);
+    expect(pnl.marketingByTactic).toEqual([
+      { tactic: 'Flyers', cost: 20 },
+      { tactic: 'Loyalty Card', cost: 100 } // Default tactic cost
+    ]);
+    expect(pnl.netProfit).toBe(200 - 60 - 150 - 120);
+    expect(pnl.margin).toBeLessThan(0);
+  });
+
+  test('menu baskets set revenue and cost of goods per item', () => {
+    const menu = { Latte: 5, Muffin: 3 };
+    const results = [
+      { decision: 'Buy', basket: [{ item: 'Latte', quantity: 2, lineTotal: 10 }, { item: 'Muffin', quantity: 1, lineTotal: 3 }] },
+      { decision: 'Buy', basket: [] }
+    ];
+
+    const pnl = calculateProfitAndLoss(results, {
+      price: 4,
+      businessState: { productChanges: menu },
+      financials: { customersPerPersona: 1, cogs: { Latte: 1 } },
+      menuPerformance: summarizeItems(results, menu)
+    });
+
+    // The buyer without a basket buys one item at the simulated price
+    expect(pnl.revenue.gross).toBe(10 + 3 + 4);
+    expect(pnl.byItem.find(line => line.item === 'Latte').goods).toBe(2);
+    expect(pnl.byItem.find(line => line.item === 'Muffin').goods).toBe(0.9);
+    expect(pnl.assumptions.costPerUnit).toBe(0.95); // Average of 1 and 0.9
+    expect(pnl.costs.goods).toBe(3.85); // 2 + 0.9 + 0.95
+  });
+
+  test('no buyers means no margin', () => {
+    const pnl = calculateProfitAndLoss([], { price: 5, businessState: {} });
+    expect(pnl.revenue.gross).toBe(0);
+    expect(pnl.margin).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+const config = require('../../src/config');
+const { DAYPARTS, erlangC, buildQueueModel, summarizeQueue } = require('../../src/services/queueModel');
+
+const visit = (id, timeOfDay, persona = {}) => ({
+  persona: { id, ...persona },
+  context: { temporal: { timeOfDay, isRushing: false } }
+});
+
+describe('erlangC', () => {
+  test('a single server waits with probability equal to its utilization', () => {
+    expect(erlangC(1, 0.5)).toBeCloseTo(0.5);
+  });
+
+  test('more servers at the same load wait less', () => {
+    expect(erlangC(3, 1.5)).toBeLessThan(erlangC(2, 1.5));
+  });
+});
+
+describe('buildQueueModel', () => {
+  test('returns null without a roster', () => {
+    expect(buildQueueModel([], [visit(1, 'morning')])).toBeNull();
+    expect(buildQueueModel(undefined, [])).toBeNull();
+  });
+
+  test('models every daypart and caps the wait where nobody works', () => {
+    const queue = buildQueueModel(
+      [{ name: 'Ana', hours: 28, dayparts: ['morning'] }],
+      [visit(1, 'morning'), visit(2, 'evening')],
+      { customersPerPersona: 10 }
+    );
+
+    expect(Object.keys(queue.dayparts)).toEqual(DAYPARTS);
+    expect(queue.dayparts.morning.personas).toBe(1);
+    expect(queue.dayparts.morning.overloaded).toBe(false);
+    expect(queue.dayparts.evening).toMatchObject({ servers: 0, overloaded: true, waitMinutes: config.queue.maxWaitMinutes });
+    expect(queue.dayparts.lunch.waitMinutes).toBe(0);
+  });
+
+  test('more staff on the same demand means a shorter wait', () => {
+    const visits = Array.from({ length: 10 }, (_, i) => visit(i + 1, 'lunch'));
+    const wait = (hours) => buildQueueModel([{ hours, dayparts: ['lunch'] }], visits).dayparts.lunch.waitMinutes;
+
+    expect(wait(42)).toBeLessThan(wait(22));
+  });
+
+  test('waitFor reports the daypart wait and a tolerance halved when rushing', () => {
+    const rushing = { persona: { id: 7, valuesSpeed: true }, context: { temporal: { timeOfDay: 'morning', isRushing: true } } };
+    const queue = buildQueueModel([{ hours: 40 }], [visit(1, 'morning'), rushing]);
+
+    expect(queue.waitFor(1).toleranceMinutes).toBe(config.queue.waitTolerance);
+    expect(queue.waitFor(7)).toEqual({
+      daypart: 'morning',
+      waitMinutes: queue.dayparts.morning.waitMinutes,
+      toleranceMinutes: config.queue.speedWaitTolerance / 2
+    });
+    expect(queue.waitFor(99)).toBeNull();
+  });
+});
+
+describe('summarizeQueue', () => {
+  test('counts balking personas per daypart', () => {
+    const queue = buildQueueModel([{ hours: 40 }], [visit(1, 'morning'), visit(2, 'lunch')]);
+    const report = summarizeQueue(queue, [
+      { personaId: 1, personaName: 'Mia', decision: 'Skip', wait: { daypart: 'morning', waitMinutes: 20, toleranceMinutes: 15, balked: true } },
+      { personaId: 2, personaName: 'Sara', decision: 'Buy', wait: { daypart: 'lunch', waitMinutes: 2, toleranceMinutes: 15, balked: false } }
+    ]);
+
+    expect(report.balked).toBe(1);
+    expect(report.balkRate).toBe(0.5);
+    expect(report.dayparts.morning.balked).toBe(1);
+    expect(report.personas).toEqual([
+      { personaId: 1, personaName: 'Mia', decision: 'Skip', daypart: 'morning', waitMinutes: 20, toleranceMinutes: 15 }
+    ]);
+  });
+});
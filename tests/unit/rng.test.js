@@ -0,0 +1,41 @@
+const { createRng, hashSeed, shuffle } = require('../../src/services/rng');
+
+describe('rng', () => {
+  test('the same seed replays the same sequence', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const draws = Array.from({ length: 5 }, () => a());
+
+    expect(Array.from({ length: 5 }, () => b())).toEqual(draws);
+    expect(new Set(draws).size).toBe(5);
+  });
+
+  test('draws stay in [0, 1)', () => {
+    const random = createRng('range');
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('string seeds hash to the matching numeric seed', () => {
+    expect(createRng('abc')()).toBe(createRng(hashSeed('abc'))());
+  });
+
+  test('hashSeed is stable and depends on the order of its parts', () => {
+    expect(hashSeed('run', 1, 2)).toBe(hashSeed('run', 1, 2));
+    expect(hashSeed('run', 1, 2)).not.toBe(hashSeed('run', 2, 1));
+    expect(Number.isInteger(hashSeed('run'))).toBe(true);
+    expect(hashSeed('run')).toBeGreaterThanOrEqual(0);
+  });
+
+  test('shuffle returns a seeded permutation without touching the input', () => {
+    const items = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = shuffle(items, createRng(7));
+
+    expect(items).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect([...shuffled].sort((x, y) => x - y)).toEqual(items);
+    expect(shuffle(items, createRng(7))).toEqual(shuffled);
+  });
+});
@@ -0,0 +1,91 @@
+const { diffRuns, diffInputs } = require('../../src/services/runDiff');
+
+const response = ({ price, decisions, trust, netProfit, mood }) => ({
+  turnNumber: 1,
+  simulation: {
+    price,
+    quality: 7,
+    event: 'Regular Business Day',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    results: decisions.map((decision, i) => ({
+      personaId: i + 1,
+      personaName: `Persona ${i + 1}`,
+      archetype: 'Student',
+      decision,
+      emotion: decision === 'Buy' ? 'satisfied' : 'frustrated',
+      reasoning: 'x'.repeat(400),
+      context: { trust: trust[i] }
+    }))
+  },
+  summary: {
+    buyRate: decisions.filter(d => d === 'Buy').length / decisions.length,
+    skipRate: decisions.filter(d => d === 'Skip').length / decisions.length,
+    switchRate: 0,
+    emotionBreakdown: { satisfied: decisions.filter(d => d === 'Buy').length, frustrated: decisions.filter(d => d !== 'Buy').length }
+  },
+  momentum: { leaving: 0.2, staying: 0.8, switching: 0, marketMood: mood },
+  archetypeInsights: { Student: { buy: decisions.filter(d => d === 'Buy').length, skip: decisions.filter(d => d === 'Skip').length, switch: 0, total: decisions.length } },
+  brandHealth: { averageTrust: trust.reduce((a, b) => a + b, 0) / trust.length },
+  profitAndLoss: { netProfit }
+});
+
+describe('diffRuns', () => {
+  const before = { label: 'last week', response: response({ price: 4, decisions: ['Buy', 'Buy'], trust: [80, 60], netProfit: 100, mood: 'Stable' }) };
+  const after = { label: 'today', response: response({ price: 6, decisions: ['Buy', 'Skip'], trust: [80, 50], netProfit: 40, mood: 'Cautious' }) };
+
+  test('reports summary, trust and profit deltas', () => {
+    const diff = diffRuns(before, after);
+
+    expect(diff.summary).toMatchObject({ buyRate: -0.5, skipRate: 0.5, averageTrust: -5, netProfit: -60 });
+    expect(diff.summary.emotionBreakdown).toEqual({ satisfied: -1, frustrated: 1 });
+    expect(diff.momentum.marketMood).toEqual({ before: 'Stable', after: 'Cautious', changed: true });
+    expect(diff.archetypes.Student.buyRate).toBe(-0.5);
+  });
+
+  test('lists flipped personas with shortened reasoning', () => {
+    const diff = diffRuns(before, after);
+
+    expect(diff.decisionChanges).toBe(1);
+    expect(diff.personas.map(p => p.trustDelta)).toEqual([0, -10]);
+    expect(diff.flippedPersonas).toHaveLength(1);
+    expect(diff.flippedPersonas[0]).toMatchObject({ personaId: 2, before: { decision: 'Buy' }, after: { decision: 'Skip' } });
+    expect(diff.flippedPersonas[0].after.reasoning).toHaveLength(280);
+    expect(diff.flippedPersonas[0].after.reasoning.endsWith('...')).toBe(true);
+  });
+
+  test('leaves out profit for runs without a P&L block', () => {
+    const older = { ...before, response: { ...before.response, profitAndLoss: undefined } };
+    expect(diffRuns(older, after).summary.netProfit).toBeUndefined();
+  });
+});
+
+describe('diffInputs', () => {
+  const side = (price, inputs) => ({ response: { simulation: { price, quality: 7, event: 'Regular Business Day' } }, inputs });
+
+  test('only compares price, quality and event without stored inputs', () => {
+    expect(diffInputs(side(4), side(5))).toEqual({ price: { before: 4, after: 5 } });
+  });
+
+  test('compares menu, tactics, staffing and competitors when both runs have inputs', () => {
+    const diff = diffInputs(
+      side(4, {
+        productChanges: { Latte: 4, Muffin: 3 },
+        marketingTactics: ['Flyers'],
+        employees: [{ name: 'Ana', hours: 20 }],
+        competitors: [{ id: 1, name: 'Rival', x: 0, y: 10 }]
+      }),
+      side(4, {
+        productChanges: { Latte: 5, Scone: 2 },
+        marketingTactics: ['Flyers', 'Loyalty Card'],
+        employees: [{ name: 'Ana', hours: 30 }],
+        competitors: []
+      })
+    );
+
+    expect(diff.price).toBeUndefined();
+    expect(diff.menu).toEqual({ added: { Scone: 2 }, removed: { Muffin: 3 }, changed: { Latte: { before: 4, after: 5 } } });
+    expect(diff.marketingTactics).toEqual({ added: ['Loyalty Card'], removed: [] });
+    expect(diff.staffing.totalHours).toEqual({ before: 20, after: 30 });
+    expect(diff.competitors.removed).toHaveLength(1);
+  });
+});
@@ -0,0 +1,76 @@
+process.env.SCHEDULER_BASE_BACKOFF_MS = '1';
+process.env.SCHEDULER_MAX_BACKOFF_MS = '5';
+
+const { TokenBucket, ScheduledProvider, computeBackoff } = require('../../src/services/scheduler');
+const { OPENAI_PERSONAS } = require('../../src/services/oPersonas');
+
+const persona = OPENAI_PERSONAS[0];
+
+const fakeProvider = (responses) => ({
+  calls: 0,
+  getName: () => 'fake',
+  buildContextMessage: () => 'context',
+  async simulatePersona(p) {
+    return { personaId: p.id, ...responses[Math.min(this.calls++, responses.length - 1)] };
+  }
+});
+
+const rateLimited = { decision: 'Skip', error: true, errorType: 'rate_limit', retryable: true, retryAfterMs: null };
+
+describe('TokenBucket', () => {
+  test('hands out capacity by requests and tokens', () => {
+    const bucket = new TokenBucket({ rpm: 10, tpm: 1000 });
+    expect(bucket.capacityFor(300)).toBe(3);
+    expect(new TokenBucket({ rpm: 2, tpm: 1000 }).capacityFor(100)).toBe(2);
+  });
+
+  test('acquiring takes capacity and a pause stops it', async () => {
+    const bucket = new TokenBucket({ rpm: Infinity, tpm: 1000 });
+    await bucket.acquire(400);
+
+    expect(bucket.capacityFor(300)).toBe(2);
+    bucket.pause(60000);
+    expect(bucket.capacityFor(300)).toBe(0);
+  });
+});
+
+describe('computeBackoff', () => {
+  test('never waits less than the provider asked', () => {
+    expect(computeBackoff(0, 2000)).toBeGreaterThanOrEqual(2000);
+  });
+
+  test('stays under the configured maximum plus jitter', () => {
+    expect(computeBackoff(20, null)).toBeLessThanOrEqual(5 + 1);
+  });
+});
+
+describe('ScheduledProvider', () => {
+  test('retries rate limits until the provider answers', async () => {
+    const provider = fakeProvider([rateLimited, rateLimited, { decision: 'Buy' }]);
+    const scheduled = new ScheduledProvider(provider);
+
+    const result = await scheduled.simulatePersona(persona, {}, 5, 7, null, 1, 'Regular Business Day');
+
+    expect(provider.calls).toBe(3);
+    expect(result.decision).toBe('Buy');
+    expect(result.estimatedTokens).toBeGreaterThan(0);
+  });
+
+  test('returns the rate limit once retries run out', async () => {
+    const provider = fakeProvider([rateLimited]);
+    const scheduled = new ScheduledProvider(provider, { maxRetries: 1 });
+
+    const result = await scheduled.simulatePersona(persona, {}, 5, 7, null, 1, 'Regular Business Day');
+
+    expect(provider.calls).toBe(2);
+    expect(result.errorType).toBe('rate_limit');
+  });
+
+  test('does not retry other errors', async () => {
+    const provider = fakeProvider([{ decision: 'Skip', error: true, errorType: 'other', retryable: false }]);
+
+    await new ScheduledProvider(provider).simulatePersona(persona, {}, 5, 7, null, 1, 'Regular Business Day');
+
+    expect(provider.calls).toBe(1);
+  });
+});
@@ -0,0 +1,122 @@
+const config = require('../../src/config');
+const {
+  DEFAULT_EDGES,
+  buildSocialGraph,
+  hearFromConnections,
+  applyWordOfMouth,
+  attributeInfluence,
+  summarizeInfluence
+} = require('../../src/services/socialGraph');
+
+const personasById = new Map([
+  [1, { id: 1, name: 'Mia', socialInfluenceWeight: 1 }],
+  [2, { id: 2, name: 'Chloe', socialInfluenceWeight: 0.5 }],
+  [3, { id: 3, name: 'Sara', socialInfluenceWeight: 0 }]
+]);
+
+describe('buildSocialGraph', () => {
+  test('indexes edges by listener and adds the reverse of mutual ones', () => {
+    const graph = buildSocialGraph([
+      { from: 3, to: 1, weight: 0.9 },
+      { from: 2, to: 1, weight: 0.5, mutual: true }
+    ]);
+
+    expect(graph.get(1)).toEqual([{ from: 3, weight: 0.9 }, { from: 2, weight: 0.5 }]);
+    expect(graph.get(2)).toEqual([{ from: 1, weight: 0.5 }]);
+    expect(graph.has(3)).toBe(false);
+  });
+
+  test('ignores self-loops and keeps the last weight of a repeated edge', () => {
+    const graph = buildSocialGraph([
+      { from: 1, to: 1, weight: 1 },
+      { from: 2, to: 1, weight: 0.2 },
+      { from: 2, to: 1, weight: 0.7 }
+    ]);
+
+    expect(graph.get(1)).toEqual([{ from: 2, weight: 0.7 }]);
+  });
+
+  test('defaults to the built-in graph', () => {
+    expect(buildSocialGraph().size).toBeGreaterThan(0);
+    expect(DEFAULT_EDGES.every(e => e.weight >= 0 && e.weight <= 1)).toBe(true);
+  });
+});
+
+describe('hearFromConnections', () => {
+  test('reports this turn\'s decisions, strongest connection first', () => {
+    const graph = buildSocialGraph([{ from: 2, to: 1, weight: 0.3 }, { from: 3, to: 1, weight: 0.9 }]);
+    const resultsThisTurn = new Map([
+      [2, { decision: 'Buy', emotion: 'satisfied' }],
+      [3, { decision: 'Switch', emotion: 'angry', targetId: 4 }]
+    ]);
+
+    const signals = hearFromConnections(graph, personasById.get(1), personasById, resultsThisTurn);
+
+    expect(signals.map(s => s.personaName)).toEqual(['Sara', 'Chloe']);
+    expect(signals[0]).toMatchObject({ decision: 'Switch', targetId: 4, when: 'this turn' });
+  });
+
+  test('is silent about friends who have not visited yet', () => {
+    const graph = buildSocialGraph([{ from: 2, to: 1, weight: 0.5 }]);
+    expect(hearFromConnections(graph, personasById.get(1), personasById, new Map())).toEqual([]);
+  });
+});
+
+describe('applyWordOfMouth', () => {
+  const leaving = [{ decision: 'Switch', emotion: 'neutral', weight: 0.5, when: 'this turn' }];
+  const buying = [{ decision: 'Buy', emotion: 'neutral', weight: 0.5, when: 'this turn' }];
+
+  test('friends leaving raise sensitivity and friends buying lower it', () => {
+    const persona = personasById.get(1);
+
+    expect(applyWordOfMouth(persona, 0.5, leaving)).toBeCloseTo(0.5 + 0.5 * config.social.influenceStrength);
+    expect(applyWordOfMouth(persona, 0.5, buying)).toBeCloseTo(0.5 - 0.5 * config.social.influenceStrength);
+  });
+
+  test('personas who ignore others are not moved', () => {
+    expect(applyWordOfMouth(personasById.get(3), 0.5, leaving)).toBe(0.5);
+    expect(applyWordOfMouth(personasById.get(1), 0.5, [])).toBe(0.5);
+  });
+
+  test('strong emotions count more and last turn counts less', () => {
+    const persona = personasById.get(1);
+    const angry = [{ ...leaving[0], emotion: 'Angry' }];
+    const stale = [{ ...leaving[0], when: 'last turn' }];
+
+    expect(applyWordOfMouth(persona, 0.5, angry)).toBeGreaterThan(applyWordOfMouth(persona, 0.5, leaving));
+    expect(applyWordOfMouth(persona, 0.5, stale)).toBeLessThan(applyWordOfMouth(persona, 0.5, leaving));
+  });
+
+  test('stays within 0-1', () => {
+    expect(applyWordOfMouth(personasById.get(1), 0.99, leaving)).toBe(1);
+    expect(applyWordOfMouth(personasById.get(1), 0.01, buying)).toBe(0);
+  });
+});
+
+describe('attributeInfluence and summarizeInfluence', () => {
+  const signals = [
+    { personaId: 3, personaName: 'Sara', weight: 0.9, decision: 'Switch', emotion: 'angry', when: 'last turn' },
+    { personaId: 2, personaName: 'Chloe', weight: 0.5, decision: 'Buy', emotion: 'satisfied', when: 'this turn' }
+  ];
+
+  test('credits friends who went the same way', () => {
+    const influence = attributeInfluence({ personaName: 'Mia', decision: 'Skip' }, signals);
+
+    expect(influence.influencedBy.map(s => s.personaId)).toEqual([3]);
+    expect(influence.attribution).toBe('Mia skipped after Sara switched last time');
+  });
+
+  test('returns null when no friend went the same way', () => {
+    expect(attributeInfluence({ personaName: 'Mia', decision: 'Buy' }, signals.slice(0, 1))).toBeNull();
+  });
+
+  test('summarizes attributions for a run', () => {
+    const results = [
+      { influence: { attribution: 'Mia bought after Chloe bought' } },
+      { decision: 'Buy' },
+      { error: 'timeout', influence: { attribution: 'ignored' } }
+    ];
+
+    expect(summarizeInfluence(results)).toEqual({ influenced: 1, attributions: ['Mia bought after Chloe bought'] });
+  });
+});